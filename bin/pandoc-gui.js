@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// Command-line client: converts files with the same pipeline, options and presets as
+// the web server, into a folder or into a ZIP laid out like a /api/jobs download.
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const { parseArgs } = require('util');
+const {
+  detectPandoc, loadLibraries, parseConversionRequest, parseAttachments, validationError, validatePreset,
+  dropMissingLibraryItems, readPresetsFile, cancelSubmission, formatReport, setLogger
+} = require('../lib/pipeline');
+const {
+  COMBINE_SEPARATORS, parseGroupBy, parseCombineRequest, jobOutputs, createJob, convertJob, jobZipEntries,
+  jobManifest, writeJobZip
+} = require('../lib/jobs');
+
+const USAGE = `Usage: pandoc-gui [options] <file or glob>...
+
+Options:
+  -t, --to <formats>         Output formats, separated by commas (default: html)
+  -f, --from <format>        Input format of every file (default: detected per file)
+  -o, --out <dir>            Folder for the converted files (default: current folder)
+      --zip <file>           Write a ZIP instead, with a manifest and report when it holds several files
+  -g, --group-by <grouping>  Put several formats in a folder per format or per file (default: format)
+      --combine              Join the files, in the order given, into one document per format
+      --separator <kind>     Between combined files: ${COMBINE_SEPARATORS.join(', ')} (default: none)
+      --options <json|file>  Conversion options as a JSON object or a JSON file
+      --preset <file>        Exported presets file to take formats and options from
+      --preset-name <name>   Preset to use when the file holds several
+      --bibliography <file>  Bibliography file (may be given more than once)
+      --csl <file>           Citation style (.csl)
+      --metadata-file <file> YAML metadata file (.yaml or .yml)
+      --include-in-header <file>, --include-after-body <file>
+                             Raw LaTeX, HTML or Typst for PDF output, matching the PDF engine
+      --json                 Print the manifest as JSON instead of the report
+  -v, --verbose              Log the Pandoc commands that are run
+  -h, --help                 Show this help
+
+Options given on the command line override those of the preset. Quote globs so the
+shell leaves them alone; * and ? match within a folder name, ** matches any folders.`;
+
+const ARGUMENTS = {
+  to: { type: 'string', short: 't' },
+  from: { type: 'string', short: 'f' },
+  out: { type: 'string', short: 'o' },
+  zip: { type: 'string' },
+  'group-by': { type: 'string', short: 'g' },
+  combine: { type: 'boolean' },
+  separator: { type: 'string' },
+  options: { type: 'string' },
+  preset: { type: 'string' },
+  'preset-name': { type: 'string' },
+  bibliography: { type: 'string', multiple: true },
+  csl: { type: 'string' },
+  'metadata-file': { type: 'string' },
+  'include-in-header': { type: 'string' },
+  'include-after-body': { type: 'string' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Attachment arguments by the upload field the web endpoints take them in
+const ATTACHMENT_ARGUMENTS = {
+  bibliography: 'bibliography',
+  csl: 'csl',
+  metadataFile: 'metadata-file',
+  includeInHeader: 'include-in-header',
+  includeAfterBody: 'include-after-body'
+};
+
+const GLOB_CHARACTERS = /[*?]/;
+
+// Regular expression for one path segment of a glob
+const segmentPattern = (segment) => new RegExp(`^${segment
+  .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '[^/]*')
+  .replace(/\?/g, '[^/]')}$`);
+
+// Files below dir matching the remaining glob segments. Hidden entries only match
+// segments that name them explicitly.
+const matchSegments = async (dir, segments) => {
+  if (segments.length === 0) {
+    const stats = await fs.stat(dir).catch(() => null);
+    return stats && stats.isFile() ? [dir] : [];
+  }
+
+  const [segment, ...rest] = segments;
+  if (!GLOB_CHARACTERS.test(segment)) {
+    return matchSegments(path.join(dir, segment), rest);
+  }
+
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const visible = entries.filter(entry => !entry.name.startsWith('.'));
+  const matches = [];
+
+  if (segment === '**') {
+    matches.push(...await matchSegments(dir, rest));
+    for (const entry of visible.filter(item => item.isDirectory())) {
+      matches.push(...await matchSegments(path.join(dir, entry.name), segments));
+    }
+    return matches;
+  }
+
+  const pattern = segmentPattern(segment);
+  for (const entry of visible.filter(item => pattern.test(item.name))) {
+    matches.push(...await matchSegments(path.join(dir, entry.name), rest));
+  }
+  return matches;
+};
+
+// Expand the file arguments, keeping their order and leaving out repeats
+const expandFiles = async (patterns) => {
+  const files = [];
+  for (const pattern of patterns) {
+    if (!GLOB_CHARACTERS.test(pattern)) {
+      const stats = await fs.stat(pattern).catch(() => null);
+      if (!stats || !stats.isFile()) {
+        throw new Error(`${pattern}: no such file`);
+      }
+      files.push(pattern);
+      continue;
+    }
+
+    const { root } = path.parse(pattern);
+    const segments = pattern.slice(root.length).split(/[\\/]+/).filter(Boolean);
+    const matches = await matchSegments(root || '.', segments);
+    if (matches.length === 0) {
+      throw new Error(`${pattern}: no files match`);
+    }
+    files.push(...matches.sort());
+  }
+  return [...new Set(files.map(file => path.normalize(file)))];
+};
+
+// Read a JSON object given inline or as the path of a JSON file
+const readJsonArgument = async (field, value) => {
+  const text = value.trim().startsWith('{') ? value : await fs.readFile(value, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw validationError(field, 'expected a JSON object or the path of a JSON file');
+  }
+};
+
+// The preset to convert with from an exported presets file, by name when it holds several.
+// Library items missing on this machine are left out with a warning, as on import.
+const readPreset = async (file, name) => {
+  const list = await readPresetsFile(file, 'preset');
+  const item = name ? list.find(preset => preset && preset.name === name) : list[0];
+  if (!item) {
+    throw validationError('preset-name', `no preset "${name}" in ${file}`);
+  }
+  if (!name && list.length > 1) {
+    throw validationError('preset-name', `${file} holds several presets: ${list.map(preset => preset.name).join(', ')}`);
+  }
+
+  const cleaned = dropMissingLibraryItems(item.options || {}, item.name || 'preset');
+  cleaned.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+  return validatePreset({ ...item, options: cleaned.options });
+};
+
+// Settings of the run as the body of a web request, so they are validated the same way
+const requestBody = async (values) => {
+  const preset = values.preset ? await readPreset(values.preset, values['preset-name']) : null;
+  const toFormats = values.to
+    ? values.to.split(',').map(format => format.trim()).filter(Boolean)
+    : (preset ? preset.toFormats : ['html']);
+  const options = {
+    ...(preset ? preset.options : {}),
+    ...(values.options ? await readJsonArgument('options', values.options) : {})
+  };
+
+  return {
+    toFormat: toFormats[0],
+    toFormats: JSON.stringify(toFormats),
+    fromFormat: values.from || (preset ? preset.fromFormat : ''),
+    options: JSON.stringify(options),
+    groupBy: values['group-by'] || (preset ? preset.groupBy : 'format'),
+    combine: values.combine ? 'true' : 'false',
+    separator: values.separator
+  };
+};
+
+// Attachment files as uploads ({ originalname, path }) by field name
+const attachmentFiles = (values) => {
+  const files = {};
+  for (const [field, argument] of Object.entries(ATTACHMENT_ARGUMENTS)) {
+    const given = [].concat(values[argument] || []);
+    if (given.length > 0) {
+      files[field] = given.map(file => ({ originalname: path.basename(file), path: path.resolve(file) }));
+    }
+  }
+  return files;
+};
+
+// Copy ZIP entries ({ name, path }) into a folder, keeping their folders
+const writeEntries = async (entries, outDir) => {
+  for (const entry of entries) {
+    const target = path.join(outDir, entry.name);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(entry.path, target);
+  }
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({ options: ARGUMENTS, allowPositionals: true });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  // stdout is kept for the report; Pandoc commands and errors go to stderr with --verbose
+  setLogger(values.verbose ? { log: console.error, error: console.error } : { log: () => {}, error: () => {} });
+
+  await detectPandoc();
+  await loadLibraries();
+
+  const paths = await expandFiles(positionals);
+  const files = paths.map(file => ({ originalname: path.basename(file), path: path.resolve(file) }));
+  const body = await requestBody(values);
+  const { toFormats, fromFormats, options } = await parseConversionRequest(body, files.length, { multipleFormats: true });
+  const groupBy = parseGroupBy(body);
+  const combine = parseCombineRequest(body);
+  const attachments = parseAttachments(attachmentFiles(values), toFormats, options);
+
+  // Outputs are named and grouped as in a /api/jobs download, and copied out of a
+  // working folder once converted
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pandoc-gui-'));
+  const job = createJob(files, fromFormats, toFormats, options, {
+    attachments, combine, groupBy, outputDir: workDir, scratchDir: workDir
+  });
+  const interrupt = () => cancelSubmission(job.submission);
+  process.once('SIGINT', interrupt);
+
+  try {
+    await convertJob(job);
+    const converted = jobOutputs(job).filter(output => output.status === 'done');
+    const manifest = jobManifest(job);
+
+    if (converted.length > 0 && values.zip) {
+      await writeJobZip(job, converted, values.zip);
+    } else if (converted.length > 0) {
+      await writeEntries(jobZipEntries(job, converted), values.out || '.');
+    }
+
+    process.stdout.write(values.json ? `${JSON.stringify(manifest, null, 2)}\n` : formatReport(manifest));
+    return manifest.failed > 0 ? 1 : 0;
+  } finally {
+    process.removeListener('SIGINT', interrupt);
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+main().then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  console.error(`pandoc-gui: ${error.message}`);
+  process.exitCode = 2;
+});
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Stand-in for a system that receives job webhooks, for trying them out locally: checks
+// each delivery's signature and prints it. With --fail, the first deliveries are answered
+// with an error so the server's retries can be watched.
+const http = require('http');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: webhook-receiver [options]
+
+Options:
+  -p, --port <port>      Port to listen on (default: 4000)
+  -s, --secret <secret>  Secret the payloads are signed with (default: $WEBHOOK_SECRET)
+      --fail <count>     Answer the first deliveries with a 500 (default: 0)
+  -h, --help             Show this help
+
+Start the server with WEBHOOK_ALLOWED_HOSTS=localhost and the same WEBHOOK_SECRET, then
+submit a job with callbackUrl=http://localhost:4000/.`;
+
+// Oldest timestamp accepted, so a captured delivery cannot be replayed later
+const MAX_AGE = 5 * 60; // 5 minutes, in seconds
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', short: 'p', default: '4000' },
+    secret: { type: 'string', short: 's', default: process.env.WEBHOOK_SECRET || '' },
+    fail: { type: 'string', default: '0' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+if (values.help || !values.secret) {
+  console.log(USAGE);
+  process.exit(values.help ? 0 : 2);
+}
+
+let failuresLeft = parseInt(values.fail, 10) || 0;
+
+// Whether a delivery was signed with the secret over its timestamp and body, recently
+const verify = (req, body) => {
+  const timestamp = req.headers['x-webhook-timestamp'] || '';
+  const signature = req.headers['x-webhook-signature'] || '';
+  const expected = `sha256=${crypto.createHmac('sha256', values.secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'bad signature';
+  }
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > MAX_AGE) {
+    return 'timestamp too old';
+  }
+  return null;
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const problem = req.method === 'POST' ? verify(req, body) : 'expected a POST';
+    const id = req.headers['x-webhook-id'] || '-';
+
+    if (problem) {
+      console.log(`${new Date().toISOString()}  ${id}  rejected: ${problem}`);
+      res.writeHead(401).end();
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`${new Date().toISOString()}  ${id}  answered 500 on purpose (${failuresLeft} more)`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const { event, job, download } = JSON.parse(body);
+    console.log(`${new Date().toISOString()}  ${id}  ${event}: job ${job.id} ${job.status}, ${job.succeeded} converted, ${job.failed} not converted`);
+    for (const file of job.combined || job.files) {
+      console.log(`    ${file.status.toUpperCase().padEnd(10)}${file.name} -> ${file.output || file.format}${file.error ? `: ${file.error.trim()}` : ''}`);
+    }
+    if (download) {
+      console.log(`    Download until ${download.expiresAt}: ${download.url}`);
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(parseInt(values.port, 10), () => {
+  console.log(`Receiving webhooks on http://localhost:${server.address().port}/`);
+});
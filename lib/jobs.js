@@ -0,0 +1,378 @@
+// Conversion jobs: the outputs a set of files is converted to, how they are named and
+// grouped, converting them (parsing each source once when it goes to several formats, or
+// joining the files into one document) and packaging the results. Used by the server's
+// /api/jobs and by the command-line client, so both produce the same files.
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const {
+  NO_ATTACHMENTS, MEDIA_INPUT_FORMATS, ZIP_GROUPINGS, MANIFEST_NAME, REPORT_NAME, validationError,
+  formatBase, resolveInputFormat, readDocument, mergeDocuments, rebaseImages, createSubmission,
+  convertFile, createZip, uniqueName, mediaDirFor, removeMedia, documentEntries, buildManifest,
+  reportEntries, getOutputExtension
+} = require('./pipeline');
+
+// What goes between the files of a combined document
+const COMBINE_SEPARATORS = ['none', 'pageBreak', 'titlePage'];
+
+// Read the ZIP grouping of a job request
+const parseGroupBy = (body) => {
+  const groupBy = body.groupBy || 'format';
+  if (!ZIP_GROUPINGS.includes(groupBy)) {
+    throw validationError('groupBy', `expected one of ${ZIP_GROUPINGS.join(', ')}`);
+  }
+  return groupBy;
+};
+
+// Read the combine fields of a job request: null to convert files one by one,
+// otherwise { separator } for joining them into one document
+const parseCombineRequest = (body) => {
+  if (body.combine !== 'true') {
+    return null;
+  }
+
+  const separator = body.separator || 'none';
+  if (!COMBINE_SEPARATORS.includes(separator)) {
+    throw validationError('separator', `expected one of ${COMBINE_SEPARATORS.join(', ')}`);
+  }
+  return { separator };
+};
+
+// Public view of a job output, as listed in job summaries and manifests
+const summarizeOutput = (file) => ({
+  name: file.original,
+  format: file.toFormat,
+  output: file.downloadName,
+  status: file.status,
+  error: file.error,
+  warnings: file.warnings,
+  missingCitations: file.missingCitations,
+  duration: file.duration
+});
+
+// Documents a job delivers: the combined document in each format, or each file in each format
+const jobOutputs = (job) => job.combined || job.files;
+
+// A document a job produces, with its progress
+const createOutput = (fields) => ({
+  status: 'queued',
+  error: null,
+  warnings: [],
+  missingCitations: [],
+  mediaDir: null,
+  media: [],
+  startedAt: null,
+  duration: null,
+  ...fields
+});
+
+// Set up a job for files ({ originalname, path }), with one output per file and output format.
+// With combine ({ separator }), the files are joined into one document per output format.
+// Outputs for several formats are grouped in the ZIP by format or by source file. Files
+// from a project carry their folder (kept in the ZIP) and the workdir Pandoc runs in.
+// Outputs are written to outputDir and parsed documents to scratchDir; onProgress is
+// called with the job whenever an output starts or finishes.
+const createJob = (files, fromFormats, toFormats, options, {
+  attachments = NO_ATTACHMENTS, combine = null, groupBy = 'format',
+  outputDir = 'downloads', scratchDir = 'uploads', onProgress = () => {}
+} = {}) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const several = toFormats.length > 1;
+
+  // Download names only need to be unique within their ZIP folder. A batch ZIP
+  // keeps the manifest and report names free at its top level.
+  const takenNames = new Map();
+  if ((combine ? 1 : files.length) * toFormats.length > 1) {
+    takenNames.set('', new Set([MANIFEST_NAME, REPORT_NAME]));
+  }
+  const takenSources = new Map();
+  const uniqueIn = (taken, name, folder) => {
+    if (!taken.has(folder)) {
+      taken.set(folder, new Set());
+    }
+    return uniqueName(name, taken.get(folder));
+  };
+  const downloadName = (name, folder) => uniqueIn(takenNames, name, folder);
+  const formatFolder = (toFormat) => (several ? `${toFormat}/` : '');
+
+  return {
+    id,
+    status: 'queued',
+    toFormats,
+    groupBy,
+    options,
+    attachments,
+    outputDir,
+    scratchDir,
+    onProgress,
+    createdAt: Date.now(),
+    finishedAt: null,
+    zipPath: null,
+    zipName: null,
+    submission: createSubmission(),
+    separator: combine ? combine.separator : null,
+    combined: combine ? toFormats.map((toFormat, formatIndex) => {
+      const outputExt = getOutputExtension(toFormat);
+      const folder = formatFolder(toFormat);
+      return createOutput({
+        original: 'combined',
+        toFormat,
+        folder,
+        outputPath: path.join(outputDir, `combined-${id}-${formatIndex}${outputExt}`),
+        downloadName: downloadName(`combined${outputExt}`, folder)
+      });
+    }) : null,
+    files: files.flatMap((file, index) => {
+      const outputFilename = path.parse(file.originalname).name;
+      const source = {
+        source: index,
+        original: file.originalname,
+        inputPath: file.path,
+        fromFormat: fromFormats[index],
+        workdir: file.workdir || null
+      };
+
+      // Files of a combined job are only read, so they have no output of their own
+      if (combine) {
+        return [createOutput({ ...source, toFormat: null, outputPath: null, downloadName: null })];
+      }
+
+      const projectFolder = file.folder || '';
+      const sourceFolder = several && groupBy === 'file'
+        ? `${projectFolder}${uniqueIn(takenSources, outputFilename, projectFolder)}/`
+        : null;
+      return toFormats.map((toFormat, formatIndex) => {
+        const outputExt = getOutputExtension(toFormat);
+        const folder = sourceFolder || `${formatFolder(toFormat)}${projectFolder}`;
+        return createOutput({
+          ...source,
+          toFormat,
+          folder,
+          outputPath: path.join(outputDir, `${outputFilename}-${id}-${index}-${formatIndex}${outputExt}`),
+          downloadName: downloadName(`${outputFilename}${outputExt}`, folder)
+        });
+      });
+    })
+  };
+};
+
+// Mark a job output as running, timing it from its first Pandoc run
+const startOutput = (output) => {
+  output.status = 'running';
+  output.startedAt = output.startedAt || Date.now();
+};
+
+// Time since a job output's first Pandoc run
+const elapsed = (output) => (output.startedAt ? Date.now() - output.startedAt : null);
+
+// Record the result of a conversion on a job output
+const finishOutput = (output, result) => {
+  output.status = 'done';
+  output.duration = elapsed(output);
+  output.warnings = result.warnings;
+  output.missingCitations = result.missingCitations;
+  output.mediaDir = result.mediaDir;
+  output.media = result.media;
+};
+
+// Record why a job output was not produced
+const failOutput = (output, error) => {
+  output.status = error.code === 'ECANCELLED' ? 'cancelled' : 'failed';
+  output.error = error.message;
+  output.duration = elapsed(output);
+};
+
+// Convert a file straight to one output
+const convertOutput = async (job, file) => {
+  try {
+    const fromFormat = await resolveInputFormat(file.inputPath, file.original, file.fromFormat);
+    const result = await convertFile(file.inputPath, file.outputPath, fromFormat, file.toFormat, job.options, {
+      submission: job.submission,
+      attachments: job.attachments,
+      workdir: file.workdir,
+      onStart: () => {
+        startOutput(file);
+        job.onProgress(job);
+      }
+    });
+    finishOutput(file, result);
+  } catch (error) {
+    failOutput(file, error);
+  }
+
+  job.onProgress(job);
+};
+
+// Render a parsed document (Pandoc JSON at astPath) to each of a job's outputs, in the
+// workdir its relative images point into. They share the images already extracted into
+// mediaDir, which is removed once no output links to it.
+const renderOutputs = async (job, astPath, outputs, mediaDir, workdir = null) => {
+  await Promise.all(outputs.map(async (output) => {
+    try {
+      const result = await convertFile(astPath, output.outputPath, 'json', output.toFormat, job.options, {
+        submission: job.submission,
+        attachments: job.attachments,
+        mediaDir,
+        workdir,
+        onStart: () => {
+          startOutput(output);
+          job.onProgress(job);
+        }
+      });
+      finishOutput(output, result);
+    } catch (error) {
+      failOutput(output, error);
+    }
+
+    job.onProgress(job);
+  }));
+
+  if (outputs.every(output => output.media.length === 0)) {
+    await removeMedia(mediaDir);
+  }
+};
+
+// Parse a file once to Pandoc JSON and render every output format from that
+const fanOutSource = async (job, outputs) => {
+  const [source] = outputs;
+  const base = `source-${job.id}-${source.source}`;
+  const mediaDir = mediaDirFor(path.join(job.outputDir, base));
+  const astPath = path.join(job.scratchDir, `${base}.json`);
+
+  try {
+    const fromFormat = await resolveInputFormat(source.inputPath, source.original, source.fromFormat);
+    const document = await readDocument(source.inputPath, fromFormat, {
+      submission: job.submission,
+      mediaDir: MEDIA_INPUT_FORMATS.includes(formatBase(fromFormat)) ? mediaDir : null,
+      workdir: source.workdir,
+      onStart: () => {
+        outputs.forEach(startOutput);
+        job.onProgress(job);
+      }
+    });
+    await fs.writeFile(astPath, JSON.stringify(document));
+    await renderOutputs(job, astPath, outputs, mediaDir, source.workdir);
+  } catch (error) {
+    // The source could not be read, so none of its outputs can be produced
+    outputs.forEach(output => failOutput(output, error));
+    await removeMedia(mediaDir);
+    job.onProgress(job);
+  } finally {
+    fs.unlink(astPath).catch(() => {});
+  }
+};
+
+// Convert each file of a job to every requested format. A file wanted in a single
+// format is converted directly; otherwise it is parsed once and the JSON reused.
+const convertJobFiles = async (job) => {
+  const sources = new Map();
+  for (const file of job.files) {
+    sources.set(file.source, [...(sources.get(file.source) || []), file]);
+  }
+
+  // The worker pool bounds how many of these run at once
+  await Promise.all([...sources.values()].map(outputs => (
+    outputs.length > 1 ? fanOutSource(job, outputs) : convertOutput(job, outputs[0])
+  )));
+};
+
+// Parse every file of a combined job, then render the joined document in each output format
+const combineJobFiles = async (job) => {
+  const { submission } = job;
+  const projectRoot = job.files.some(file => file.workdir) ? job.attachments.resourceDir : null;
+  // Images of each input go to a numbered folder so equal names from different files cannot clash
+  const mediaDir = mediaDirFor(path.join(job.outputDir, `combined-${job.id}`));
+
+  const documents = await Promise.all(job.files.map(async (file, index) => {
+    try {
+      const fromFormat = await resolveInputFormat(file.inputPath, file.original, file.fromFormat);
+      const document = await readDocument(file.inputPath, fromFormat, {
+        submission,
+        mediaDir: MEDIA_INPUT_FORMATS.includes(formatBase(fromFormat)) ? path.join(mediaDir, String(index + 1)) : null,
+        workdir: file.workdir,
+        onStart: () => {
+          startOutput(file);
+          job.onProgress(job);
+        }
+      });
+      file.status = 'done';
+      file.duration = elapsed(file);
+      // The joined document is rendered from the project root, so images are relinked to it
+      return file.workdir ? rebaseImages(document, path.relative(projectRoot, file.workdir)) : document;
+    } catch (error) {
+      failOutput(file, error);
+      return null;
+    } finally {
+      job.onProgress(job);
+    }
+  }));
+
+  // One unreadable file spoils the whole document
+  if (documents.includes(null)) {
+    job.combined.forEach((output) => {
+      output.status = submission.cancelled ? 'cancelled' : 'failed';
+      output.error = 'Not every file could be read';
+    });
+    await removeMedia(mediaDir);
+    return;
+  }
+
+  const astPath = path.join(job.scratchDir, `combined-${job.id}.json`);
+  try {
+    const merged = mergeDocuments(documents, job.files.map(file => file.original), job.separator);
+    await fs.writeFile(astPath, JSON.stringify(merged));
+    await renderOutputs(job, astPath, job.combined, mediaDir, projectRoot);
+  } catch (error) {
+    job.combined.forEach(output => failOutput(output, error));
+    await removeMedia(mediaDir);
+  } finally {
+    fs.unlink(astPath).catch(() => {});
+  }
+};
+
+// Produce every output of a job, joining its files first when it combines them
+const convertJob = (job) => (job.combined ? combineJobFiles(job) : convertJobFiles(job));
+
+// ZIP entries for the finished outputs of a job. Outputs that link to images get a
+// folder of their own when the ZIP holds several documents, unless they already
+// share their source file's folder. Images shared by several outputs are added once.
+const jobZipEntries = (job, converted) => {
+  const several = jobOutputs(job).length > 1;
+  const entries = converted.flatMap((file) => {
+    const ownFolder = several && file.media.length > 0 && job.groupBy !== 'file'
+      ? `${path.parse(file.downloadName).name}/`
+      : '';
+    return documentEntries(file.outputPath, file.downloadName, file.media, `${file.folder}${ownFolder}`);
+  });
+
+  const names = new Set();
+  return entries.filter(entry => !names.has(entry.name) && names.add(entry.name));
+};
+
+// Manifest of every output of a job, converted or not
+const jobManifest = (job) => buildManifest(job.toFormats, jobOutputs(job).map(summarizeOutput));
+
+// Write a ZIP of a job's converted outputs. A batch also carries a manifest and report.
+const writeJobZip = (job, converted, zipPath) => {
+  const report = jobOutputs(job).length > 1 ? reportEntries(jobManifest(job)) : [];
+  return createZip([...jobZipEntries(job, converted), ...report], zipPath);
+};
+
+// Package the converted outputs of a job for download. Several outputs, or one that links
+// to extracted images, are delivered as a ZIP in the output folder; a single document as is.
+const packageJob = async (job, converted) => {
+  const several = jobOutputs(job).length > 1;
+  if (!several && converted[0].media.length === 0) return;
+
+  job.zipPath = path.join(job.outputDir, `converted-${job.id}.zip`);
+  if (!several) {
+    job.zipName = `${path.parse(converted[0].downloadName).name}.zip`;
+  } else {
+    job.zipName = job.combined ? 'combined.zip' : 'converted-documents.zip';
+  }
+  await writeJobZip(job, converted, job.zipPath);
+};
+
+module.exports = {
+  COMBINE_SEPARATORS, parseGroupBy, parseCombineRequest, summarizeOutput, jobOutputs, createJob, convertJob, jobZipEntries, jobManifest, writeJobZip, packageJob
+};
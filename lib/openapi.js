@@ -0,0 +1,577 @@
+// OpenAPI description of the versioned API under /api/v1, built from the format catalog
+// and the option schema each time it is requested, so it lists what this server accepts.
+const { OPTION_SCHEMA, METADATA_FIELDS, PDF_ENGINES, optionValues, getFormatCatalog } = require('./pipeline');
+const { version } = require('../package.json');
+
+// Formats may carry extension modifiers, e.g. markdown+pipe_tables-smart
+const FORMAT_PATTERN = '^[A-Za-z0-9_]+([+-][A-Za-z0-9_]+)*$';
+
+// JSON schema of the value of one conversion option
+const optionValueSchema = (spec) => {
+  switch (spec.type) {
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'integer':
+      return { type: 'integer', minimum: spec.min, maximum: spec.max };
+    case 'enum':
+      return { type: 'string', enum: optionValues(spec) };
+    case 'list':
+      return { type: 'array', items: { type: 'string' } };
+    case 'metadata':
+      return {
+        type: 'object',
+        additionalProperties: false,
+        properties: Object.fromEntries(Object.entries(METADATA_FIELDS).map(([field, kind]) => [field, kind === 'list'
+          ? { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] }
+          : { type: 'string' }]))
+      };
+    default:
+      return { type: 'string' };
+  }
+};
+
+// What an option does and where it applies, from its schema entry
+const optionDescription = (spec) => [
+  `${spec.label}.`,
+  spec.formats ? `Applies to ${spec.formats.join(', ')} output.` : '',
+  spec.engines ? `Works with the ${spec.engines.map(engine => PDF_ENGINES[engine].label).join(', ')} PDF engines.` : '',
+  spec.requires ? 'Needs a Pandoc version that supports it.' : ''
+].filter(Boolean).join(' ');
+
+// Schema of the `options` field, one property per option
+const optionsSchema = () => ({
+  type: 'object',
+  additionalProperties: false,
+  description: 'Conversion options, sent as a JSON string. Options left out take their defaults.',
+  properties: Object.fromEntries(Object.entries(OPTION_SCHEMA).map(([name, spec]) => [name, {
+    ...optionValueSchema(spec),
+    default: spec.default,
+    description: optionDescription(spec)
+  }]))
+});
+
+// Schema of a format field, listing the supported formats of a direction
+const formatSchema = (formats, description) => ({
+  type: 'string',
+  pattern: FORMAT_PATTERN,
+  description: `${description} One of ${formats.filter(format => format.supported).map(format => format.value).join(', ')}, `
+    + 'optionally with extensions such as +pipe_tables or -smart.'
+});
+
+// Files attached to a conversion besides the documents
+const ATTACHMENT_FIELDS = {
+  bibliography: {
+    type: 'array',
+    items: { type: 'string', format: 'binary' },
+    description: 'Bibliography files (.bib, .bibtex, .json, .yaml or .ris), up to 10. Turns on citation processing.'
+  },
+  csl: { type: 'string', format: 'binary', description: 'Citation style (.csl), taking precedence over options.citationStyle.' },
+  includeInHeader: { type: 'string', format: 'binary', description: 'Raw markup added to the header of PDF output.' },
+  includeAfterBody: { type: 'string', format: 'binary', description: 'Raw markup added after the body of PDF output.' },
+  metadataFile: { type: 'string', format: 'binary', description: 'YAML metadata file.' }
+};
+
+// Multipart encoding of the fields of a conversion request that hold JSON
+const JSON_FIELD = { contentType: 'application/json' };
+
+// Error answers shared by the conversion endpoints
+const errorResponses = () => ({
+  400: { $ref: '#/components/responses/InvalidRequest' },
+  401: { $ref: '#/components/responses/Unauthorized' },
+  429: { $ref: '#/components/responses/TooManyRequests' }
+});
+
+// Answers of the endpoints for one job
+const jobResponses = () => ({
+  200: {
+    description: 'The job',
+    headers: rateLimitHeaders,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Job' } } }
+  },
+  401: { $ref: '#/components/responses/Unauthorized' },
+  404: { $ref: '#/components/responses/NotFound' },
+  429: { $ref: '#/components/responses/TooManyRequests' }
+});
+
+// The id of a job in the path
+const JOB_ID = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+// Rate limit headers sent with every answer of the API
+const rateLimitHeaders = {
+  'X-RateLimit-Limit': { description: 'Requests allowed per minute for the API key', schema: { type: 'integer' } },
+  'X-RateLimit-Remaining': { description: 'Requests left in the current minute', schema: { type: 'integer' } },
+  'X-RateLimit-Reset': { description: 'Seconds until the current minute ends', schema: { type: 'integer' } }
+};
+
+// The OpenAPI 3.0 document of the versioned API
+const buildOpenApiDocument = () => {
+  const catalog = getFormatCatalog();
+  const conversionFields = {
+    toFormat: formatSchema(catalog.output, 'Output format.'),
+    fromFormat: formatSchema(catalog.input, 'Input format. Detected from the file name and contents when left out.'),
+    options: { $ref: '#/components/schemas/Options' },
+    ...ATTACHMENT_FIELDS
+  };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Pandoc GUI API',
+      version,
+      description: 'Convert documents with Pandoc. Every request needs an API key, sent as a bearer token '
+        + 'or in the X-API-Key header. Each key has a rate limit per minute and a daily upload quota.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: {
+      '/formats': {
+        get: {
+          summary: 'List input and output formats',
+          description: 'Formats known to the server, each marked as supported or not by the installed Pandoc.',
+          responses: {
+            200: {
+              description: 'Format catalog',
+              headers: rateLimitHeaders,
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/FormatCatalog' } } }
+            },
+            401: { $ref: '#/components/responses/Unauthorized' },
+            429: { $ref: '#/components/responses/TooManyRequests' }
+          }
+        }
+      },
+      '/options': {
+        get: {
+          summary: 'List conversion options',
+          description: 'The options accepted in the options field, with their types, defaults and allowed values.',
+          responses: {
+            200: {
+              description: 'Conversion options',
+              headers: rateLimitHeaders,
+              content: { 'application/json': { schema: { type: 'object', properties: { options: { type: 'array', items: { type: 'object' } } } } } }
+            },
+            401: { $ref: '#/components/responses/Unauthorized' },
+            429: { $ref: '#/components/responses/TooManyRequests' }
+          }
+        }
+      },
+      '/convert': {
+        post: {
+          summary: 'Convert one document',
+          description: 'Converts an uploaded file, pasted text or a document fetched from an allowed URL. Output '
+            + 'that links to images extracted from the input is sent as a ZIP with its media/ folder.',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['toFormat'],
+                  properties: {
+                    file: { type: 'string', format: 'binary', description: 'Document to convert.' },
+                    text: { type: 'string', description: 'Text to convert instead of a file.' },
+                    textName: { type: 'string', description: 'File name for the text, which names the output.' },
+                    url: { type: 'string', format: 'uri', description: 'Address of a document to convert instead of a file.' },
+                    ...conversionFields
+                  }
+                },
+                encoding: { options: JSON_FIELD }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'The converted document, or a ZIP holding it and its images',
+              headers: {
+                ...rateLimitHeaders,
+                'X-Missing-Citations': { description: 'Citation keys not found in the bibliography, comma separated and each percent-encoded', schema: { type: 'string' } }
+              },
+              content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+            },
+            ...errorResponses(),
+            502: { description: 'The URL could not be fetched', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+          }
+        }
+      },
+      '/convert-batch': {
+        post: {
+          summary: 'Convert several documents',
+          description: 'Converts up to 50 files to one output format and answers with a ZIP of the converted files, '
+            + 'a manifest.json and a report.txt. Files that cannot be converted are listed in the manifest and report.',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['files', 'toFormat'],
+                  properties: {
+                    files: { type: 'array', items: { type: 'string', format: 'binary' }, description: 'Documents to convert.' },
+                    fromFormats: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Input format of each file, in upload order, sent as a JSON string. Empty entries fall back to fromFormat.'
+                    },
+                    ...conversionFields
+                  }
+                },
+                encoding: { options: JSON_FIELD, fromFormats: JSON_FIELD }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'ZIP of the converted files with a manifest and report',
+              headers: {
+                ...rateLimitHeaders,
+                'X-Missing-Citations': { description: 'Citation keys not found in the bibliography, comma separated and each percent-encoded', schema: { type: 'string' } }
+              },
+              content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+            },
+            ...errorResponses()
+          }
+        }
+      },
+      '/inspect': {
+        post: {
+          summary: 'Inspect a document',
+          description: 'Reads a document with Pandoc and reports its outline, word and character counts, reading time, '
+            + 'images, links, tables, footnotes, citations and metadata. Local images and links are marked missing '
+            + 'unless Pandoc extracted them from the document; external links are not checked.',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['file'],
+                  properties: {
+                    file: { type: 'string', format: 'binary', description: 'Document to inspect.' },
+                    fromFormat: conversionFields.fromFormat
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'Inspection report',
+              headers: rateLimitHeaders,
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Inspection' } } }
+            },
+            ...errorResponses()
+          }
+        }
+      },
+      '/jobs': {
+        post: {
+          summary: 'Submit a conversion job',
+          description: 'Starts converting in the background and answers at once. Poll the job, or give a callbackUrl '
+            + 'to be sent a signed webhook when it finishes.',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    files: { type: 'array', items: { type: 'string', format: 'binary' }, description: 'Documents to convert, up to 50.' },
+                    text: { type: 'string', description: 'Text to convert instead of files.' },
+                    url: { type: 'string', format: 'uri', description: 'Address of a document to convert instead of files.' },
+                    toFormats: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Several output formats instead of toFormat, sent as a JSON string.'
+                    },
+                    groupBy: { type: 'string', enum: ['format', 'file'], default: 'format', description: 'How outputs for several formats are grouped in the ZIP.' },
+                    combine: { type: 'string', enum: ['true'], description: 'Join the files into one document per format.' },
+                    separator: { type: 'string', enum: ['none', 'pageBreak', 'titlePage'], default: 'none', description: 'What goes between combined files.' },
+                    callbackUrl: {
+                      type: 'string',
+                      format: 'uri',
+                      description: 'Address sent a webhook when the job finishes. Its host must be allowed by the server.'
+                    },
+                    ...conversionFields
+                  }
+                },
+                encoding: { options: JSON_FIELD, toFormats: JSON_FIELD }
+              }
+            }
+          },
+          responses: {
+            202: {
+              description: 'The job was accepted',
+              headers: rateLimitHeaders,
+              content: {
+                'application/json': {
+                  schema: { type: 'object', properties: { jobId: { type: 'string' }, job: { $ref: '#/components/schemas/Job' } } }
+                }
+              }
+            },
+            ...errorResponses()
+          },
+          callbacks: {
+            jobFinished: {
+              '{$request.body#/callbackUrl}': {
+                post: {
+                  summary: 'The job has finished',
+                  description: 'Signed with HMAC-SHA256 over "<X-Webhook-Timestamp>.<body>" using the webhook secret, sent as '
+                    + '"sha256=<hex>" in X-Webhook-Signature. Answers other than 2xx are retried with a doubling wait.',
+                  parameters: [
+                    { name: 'X-Webhook-Id', in: 'header', required: true, schema: { type: 'string' } },
+                    { name: 'X-Webhook-Timestamp', in: 'header', required: true, schema: { type: 'integer' }, description: 'Unix time in seconds' },
+                    { name: 'X-Webhook-Signature', in: 'header', required: true, schema: { type: 'string' } }
+                  ],
+                  requestBody: {
+                    required: true,
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/WebhookPayload' } } }
+                  },
+                  responses: {
+                    '2XX': { description: 'The webhook was received' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/jobs/{id}': {
+        get: {
+          summary: 'Get the status of a job',
+          parameters: [JOB_ID],
+          responses: jobResponses()
+        }
+      },
+      '/jobs/{id}/cancel': {
+        post: {
+          summary: 'Cancel a job',
+          parameters: [JOB_ID],
+          responses: {
+            ...jobResponses(),
+            409: { description: 'The job has already finished', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+          }
+        }
+      },
+      '/jobs/{id}/download': {
+        get: {
+          summary: 'Download the result of a finished job',
+          description: 'A ZIP for several outputs or an output with extracted images, otherwise the converted document.',
+          parameters: [JOB_ID],
+          responses: {
+            200: { description: 'The result', headers: rateLimitHeaders, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+            401: { $ref: '#/components/responses/Unauthorized' },
+            404: { $ref: '#/components/responses/NotFound' },
+            409: { description: 'The job has not finished or failed', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+            410: { description: 'The converted files have been removed', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+          }
+        }
+      },
+      '/webhooks': {
+        get: {
+          summary: 'List webhook deliveries',
+          description: 'Deliveries for the jobs of the API key, newest first, with every attempt.',
+          parameters: [{ name: 'job', in: 'query', schema: { type: 'string' }, description: 'Only the deliveries of this job' }],
+          responses: {
+            200: {
+              description: 'Delivery log',
+              headers: rateLimitHeaders,
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      enabled: { type: 'boolean', description: 'Whether jobs may be given a callbackUrl' },
+                      deliveries: { type: 'array', items: { $ref: '#/components/schemas/Delivery' } }
+                    }
+                  }
+                }
+              }
+            },
+            401: { $ref: '#/components/responses/Unauthorized' },
+            429: { $ref: '#/components/responses/TooManyRequests' }
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        Options: optionsSchema(),
+        Format: {
+          type: 'object',
+          properties: {
+            value: { type: 'string' },
+            label: { type: 'string' },
+            extensions: { type: 'array', items: { type: 'string' }, description: 'File extensions of an input format' },
+            extension: { type: 'string', description: 'File extension of an output format' },
+            supported: { type: 'boolean' }
+          }
+        },
+        FormatCatalog: {
+          type: 'object',
+          properties: {
+            input: { type: 'array', items: { $ref: '#/components/schemas/Format' } },
+            output: { type: 'array', items: { $ref: '#/components/schemas/Format' } }
+          }
+        },
+        JobOutput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Name of the input file' },
+            format: { type: 'string', nullable: true },
+            output: { type: 'string', nullable: true, description: 'Name of the output in the result' },
+            status: { type: 'string', enum: ['queued', 'running', 'done', 'failed', 'cancelled'] },
+            error: { type: 'string', nullable: true },
+            warnings: { type: 'array', items: { type: 'string' } },
+            missingCitations: { type: 'array', items: { type: 'string' } },
+            duration: { type: 'integer', nullable: true, description: 'Milliseconds' }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'done', 'failed', 'cancelled'] },
+            toFormats: { type: 'array', items: { type: 'string' } },
+            groupBy: { type: 'string' },
+            createdAt: { type: 'integer' },
+            finishedAt: { type: 'integer', nullable: true },
+            total: { type: 'integer' },
+            completed: { type: 'integer' },
+            files: { type: 'array', items: { $ref: '#/components/schemas/JobOutput' } },
+            combined: { type: 'array', nullable: true, items: { $ref: '#/components/schemas/JobOutput' } },
+            downloadUrl: { type: 'string', nullable: true }
+          }
+        },
+        WebhookPayload: {
+          type: 'object',
+          properties: {
+            event: { type: 'string', enum: ['job.finished'] },
+            deliveryId: { type: 'string' },
+            job: {
+              allOf: [
+                { $ref: '#/components/schemas/Job' },
+                { type: 'object', properties: { succeeded: { type: 'integer' }, failed: { type: 'integer' } } }
+              ]
+            },
+            download: {
+              type: 'object',
+              nullable: true,
+              description: 'Link to the result that needs no API key, for jobs that are done',
+              properties: { url: { type: 'string', format: 'uri' }, expiresAt: { type: 'string', format: 'date-time' } }
+            }
+          }
+        },
+        Delivery: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            jobId: { type: 'string' },
+            url: { type: 'string' },
+            event: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'retrying', 'delivered', 'failed'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            attempts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  at: { type: 'string', format: 'date-time' },
+                  statusCode: { type: 'integer', nullable: true },
+                  error: { type: 'string', nullable: true },
+                  duration: { type: 'integer', description: 'Milliseconds' }
+                }
+              }
+            }
+          }
+        },
+        Inspection: {
+          type: 'object',
+          properties: {
+            fromFormat: { type: 'string' },
+            outline: {
+              type: 'array',
+              items: { type: 'object', properties: { level: { type: 'integer' }, id: { type: 'string' }, text: { type: 'string' } } }
+            },
+            counts: {
+              type: 'object',
+              properties: { words: { type: 'integer' }, characters: { type: 'integer' }, charactersNoSpaces: { type: 'integer' } }
+            },
+            readingTime: { type: 'integer', description: 'Minutes, at 200 words a minute' },
+            images: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  target: { type: 'string' },
+                  alt: { type: 'string' },
+                  remote: { type: 'boolean' },
+                  missing: { type: 'boolean', description: 'A local image that does not come with the document' }
+                }
+              }
+            },
+            links: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  url: { type: 'string' },
+                  text: { type: 'string' },
+                  kind: { type: 'string', enum: ['internal', 'external', 'local'] },
+                  broken: { type: 'boolean', nullable: true, description: 'Whether the target was not found; null for external links' }
+                }
+              }
+            },
+            tables: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { caption: { type: 'string' }, columns: { type: 'integer' }, headerRows: { type: 'integer' }, rows: { type: 'integer' } }
+              }
+            },
+            footnotes: {
+              type: 'array',
+              items: { type: 'object', properties: { number: { type: 'integer' }, text: { type: 'string' } } }
+            },
+            citations: {
+              type: 'array',
+              items: { type: 'object', properties: { id: { type: 'string' }, count: { type: 'integer' } } }
+            },
+            metadata: { type: 'object', additionalProperties: true }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string' },
+            field: { type: 'string', description: 'The request field at fault, for invalid requests' }
+          }
+        }
+      },
+      responses: {
+        InvalidRequest: {
+          description: 'A field of the request is missing or invalid',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        NotFound: {
+          description: 'No such job for this API key',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        Unauthorized: {
+          description: 'The API key is missing or unknown',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        TooManyRequests: {
+          description: 'The rate limit or the daily upload quota of the API key is used up',
+          headers: { 'Retry-After': { description: 'Seconds until the limit resets', schema: { type: 'integer' } } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    }
+  };
+};
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,1965 @@
+// Conversion pipeline shared by the web server and the command-line client: formats
+// and options and their validation, the Pandoc argument builder and worker pool,
+// document reading and merging, and the ZIP, manifest and report of a batch. Nothing
+// here knows about HTTP, so conversions give the same results from either.
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs').promises;
+const archiver = require('archiver');
+const os = require('os');
+
+// Maximum number of Pandoc processes running at once
+const PANDOC_CONCURRENCY = parseInt(process.env.PANDOC_CONCURRENCY, 10) || Math.max(1, os.cpus().length);
+// Time a single conversion may take before its process is killed
+const PANDOC_TIMEOUT = parseInt(process.env.PANDOC_TIMEOUT, 10) || 5 * 60 * 1000; // 5 minutes
+
+// Log of Pandoc runs and errors: the console in the server. The command-line client
+// keeps it out of the report it prints.
+let logger = console;
+const setLogger = (next) => {
+  logger = next;
+};
+
+// Libraries, presets and history live in data/ next to the app, wherever it is started from
+const DATA_DIR = path.join(__dirname, '..', 'data');
+// Uploaded reference documents for DOCX, ODT and PPTX output. Library folders are
+// absolute, since Pandoc may run inside the folder of an uploaded project.
+const TEMPLATES_DIR = path.join(DATA_DIR, 'templates');
+const TEMPLATES_INDEX = path.join(TEMPLATES_DIR, 'templates.json');
+// Output formats that take a reference document for styling
+const REFERENCE_FORMATS = ['docx', 'odt', 'pptx'];
+// Uploaded CSS themes and Pandoc HTML templates
+const STYLES_DIR = path.join(DATA_DIR, 'styles');
+const STYLES_INDEX = path.join(STYLES_DIR, 'styles.json');
+// Uploaded Pandoc Lua filters
+const FILTERS_DIR = path.join(DATA_DIR, 'filters');
+const FILTERS_INDEX = path.join(FILTERS_DIR, 'filters.json');
+// Saved conversion presets
+const PRESETS_INDEX = path.join(DATA_DIR, 'presets.json');
+// Themes shipped with the app
+const THEMES_DIR = path.join(__dirname, '..', 'themes');
+const BUILTIN_THEMES = [
+  { id: 'github', name: 'GitHub', kind: 'css', filename: 'github.css', builtIn: true },
+  { id: 'print', name: 'Print', kind: 'css', filename: 'print.css', builtIn: true },
+  { id: 'dark', name: 'Dark', kind: 'css', filename: 'dark.css', builtIn: true }
+];
+
+// Citation styles bundled with the app; Chicago is Pandoc's built-in default. APA is the
+// official CSL style; IEEE is an approximation (see csl/README.md).
+const CSL_DIR = path.join(__dirname, '..', 'csl');
+const CITATION_STYLES = {
+  chicago: null,
+  apa: 'apa.csl',
+  ieee: 'ieee.csl'
+};
+
+// Bibliography and CSL files accepted alongside the documents of a conversion
+const BIBLIOGRAPHY_EXTENSIONS = ['.bib', '.bibtex', '.json', '.yaml', '.yml', '.ris'];
+// resourceDir holds the images of a web page fetched by URL
+const NO_ATTACHMENTS = { bibliographies: [], csl: null, includeInHeader: null, includeAfterBody: null, metadataFile: null, resourceDir: null };
+
+// Document metadata accepted from the metadata form; list fields hold several values
+const METADATA_FIELDS = {
+  title: 'string',
+  author: 'list',
+  date: 'string',
+  lang: 'string',
+  subject: 'string',
+  keywords: 'list'
+};
+const MAX_METADATA_LENGTH = 1000;
+// BCP 47 language tags such as en, en-US or zh-Hant-TW
+const LANGUAGE_TAG = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const METADATA_FILE_EXTENSIONS = ['.yaml', '.yml'];
+
+// PDF engines Pandoc can drive, with the intermediate format each one renders from
+const PDF_ENGINES = {
+  pdflatex: { label: 'pdfLaTeX', writer: 'latex' },
+  xelatex: { label: 'XeLaTeX', writer: 'latex' },
+  lualatex: { label: 'LuaLaTeX', writer: 'latex' },
+  wkhtmltopdf: { label: 'wkhtmltopdf', writer: 'html' },
+  weasyprint: { label: 'WeasyPrint', writer: 'html' },
+  typst: { label: 'Typst', writer: 'typst' }
+};
+const LATEX_ENGINES = ['pdflatex', 'xelatex', 'lualatex'];
+
+// Paper sizes as each intermediate format names them
+const PAPER_SIZES = {
+  letter: { latex: 'letter', html: 'Letter', typst: 'us-letter' },
+  a4: { latex: 'a4', html: 'A4', typst: 'a4' },
+  a5: { latex: 'a5', html: 'A5', typst: 'a5' },
+  legal: { latex: 'legal', html: 'Legal', typst: 'us-legal' }
+};
+
+// Header and footer include files accepted for each intermediate format
+const INCLUDE_EXTENSIONS = {
+  latex: ['.tex', '.latex'],
+  html: ['.html', '.htm'],
+  typst: ['.typ']
+};
+
+// Page lengths accepted for margins
+const PAGE_LENGTH = /^\d+(\.\d+)?(in|cm|mm|pt)$/;
+// Font names are passed into LaTeX and Typst templates, so markup characters are refused
+const FONT_NAME = /^[^\\{}$%#&~^"\r\n]{1,100}$/;
+
+// Input formats whose images Pandoc extracts with --extract-media
+const MEDIA_INPUT_FORMATS = ['docx', 'odt', 'epub'];
+// Writers of binary files (ZIP containers and PDF), which pack their images themselves
+const BINARY_OUTPUT_FORMATS = ['docx', 'odt', 'pptx', 'epub', 'epub2', 'epub3', 'chunkedhtml', 'pdf'];
+// Output formats that carry their images inside the document; any other output is
+// text that links to the extracted images and is delivered together with a media/ folder
+const EMBEDDED_MEDIA_FORMATS = ['html', 'rtf', 'fb2', ...BINARY_OUTPUT_FORMATS];
+
+// Raw blocks that start a new page; Pandoc keeps the one for the output format and drops the rest
+const PAGE_BREAK_BLOCKS = [
+  { t: 'RawBlock', c: ['latex', '\\newpage'] },
+  { t: 'RawBlock', c: ['openxml', '<w:p><w:r><w:br w:type="page"/></w:r></w:p>'] },
+  { t: 'RawBlock', c: ['html', '<div style="page-break-after: always;"></div>'] },
+  { t: 'RawBlock', c: ['typst', '#pagebreak()'] }
+];
+
+// Check if Pandoc is installed
+const checkPandoc = () => {
+  return new Promise((resolve, reject) => {
+    execFile('pandoc', ['--version'], (error, stdout) => {
+      if (error) {
+        reject(new Error('Pandoc is not installed or not in PATH'));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+};
+
+// Supported formats
+const FORMATS = {
+  input: [
+    { value: 'markdown', label: 'Markdown', extensions: ['.md', '.markdown'] },
+    { value: 'gfm', label: 'GitHub Markdown', extensions: [] },
+    { value: 'commonmark_x', label: 'CommonMark (extended)', extensions: [] },
+    { value: 'html', label: 'HTML', extensions: ['.html', '.htm'] },
+    { value: 'docx', label: 'Word (DOCX)', extensions: ['.docx'] },
+    { value: 'odt', label: 'OpenDocument', extensions: ['.odt'] },
+    { value: 'epub', label: 'EPUB', extensions: ['.epub'] },
+    { value: 'latex', label: 'LaTeX', extensions: ['.tex'] },
+    { value: 'rst', label: 'reStructuredText', extensions: ['.rst'] },
+    { value: 'textile', label: 'Textile', extensions: ['.textile'] },
+    { value: 'org', label: 'Org Mode', extensions: ['.org'] },
+    { value: 'mediawiki', label: 'MediaWiki', extensions: ['.wiki'] },
+    { value: 'rtf', label: 'Rich Text Format', extensions: ['.rtf'] },
+    { value: 'json', label: 'Pandoc JSON', extensions: ['.json'] }
+  ],
+  output: [
+    { value: 'markdown', label: 'Markdown', extension: '.md' },
+    { value: 'gfm', label: 'GitHub Markdown', extension: '.md' },
+    { value: 'commonmark_x', label: 'CommonMark (extended)', extension: '.md' },
+    { value: 'html', label: 'HTML', extension: '.html' },
+    { value: 'docx', label: 'Word (DOCX)', extension: '.docx' },
+    { value: 'odt', label: 'OpenDocument', extension: '.odt' },
+    { value: 'epub', label: 'EPUB', extension: '.epub' },
+    { value: 'pptx', label: 'PowerPoint (PPTX)', extension: '.pptx' },
+    { value: 'pdf', label: 'PDF', extension: '.pdf' },
+    { value: 'latex', label: 'LaTeX', extension: '.tex' },
+    { value: 'rst', label: 'reStructuredText', extension: '.rst' },
+    { value: 'textile', label: 'Textile', extension: '.textile' },
+    { value: 'org', label: 'Org Mode', extension: '.org' },
+    { value: 'mediawiki', label: 'MediaWiki', extension: '.wiki' },
+    { value: 'rtf', label: 'Rich Text Format', extension: '.rtf' },
+    { value: 'plain', label: 'Plain Text', extension: '.txt' },
+    { value: 'json', label: 'Pandoc JSON', extension: '.json' }
+  ]
+};
+
+// Capabilities of the installed Pandoc, filled in by discoverPandoc()
+let pandocCapabilities = null;
+
+// Flags assumed when the installed Pandoc could not be queried
+const DEFAULT_PANDOC_FEATURES = {
+  smartFlag: false,
+  embedResources: true,
+  citeproc: true,
+  pdfEngineFlag: '--pdf-engine',
+  referenceDocFlag: '--reference-doc',
+  epubStylesheetFlag: '--css',
+  highlightFlag: '--highlight-style',
+  metadataFile: true,
+  luaFilters: true
+};
+
+const DEFAULT_HIGHLIGHT_STYLES = ['pygments', 'tango', 'espresso', 'zenburn', 'kate', 'monochrome', 'breezedark', 'haddock'];
+
+// Run a Pandoc informational query, resolving to null when it is not supported
+const queryPandoc = (args) => {
+  return new Promise((resolve) => {
+    execFile('pandoc', args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      resolve(error ? null : stdout);
+    });
+  });
+};
+
+// Split command output into non-empty lines
+const parseLines = (stdout) => (stdout || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+// Extract the numeric version from `pandoc --version` output
+const parsePandocVersion = (versionOutput) => {
+  const match = versionOutput.match(/pandoc(?:\.exe)?\s+(\d+(?:\.\d+)*)/i);
+  return match ? match[1].split('.').map(Number) : [0];
+};
+
+// Compare a parsed version against a minimum version
+const versionAtLeast = (version, minimum) => {
+  for (let i = 0; i < minimum.length; i++) {
+    const part = version[i] || 0;
+    if (part !== minimum[i]) {
+      return part > minimum[i];
+    }
+  }
+  return true;
+};
+
+// Parse `pandoc --list-extensions` output, where extensions are listed as +name (on by default) or -name
+const parseExtensionList = (stdout) => {
+  const extensions = {};
+  for (const line of parseLines(stdout)) {
+    extensions[line.slice(1)] = line[0] === '+';
+  }
+  return extensions;
+};
+
+// Find which PDF engines are installed by asking each for its version
+const detectPdfEngines = async () => {
+  const found = await Promise.all(Object.keys(PDF_ENGINES).map(engine => new Promise((resolve) => {
+    execFile(engine, ['--version'], { timeout: 10000 }, (error) => resolve(error ? null : engine));
+  })));
+  return found.filter(Boolean);
+};
+
+// Query the installed Pandoc for its version, formats, extensions and styles
+const discoverPandoc = async () => {
+  const versionOutput = await checkPandoc();
+  const version = parsePandocVersion(versionOutput);
+
+  const [inputList, outputList, extensionList, styleList, pdfEngines] = await Promise.all([
+    queryPandoc(['--list-input-formats']),
+    queryPandoc(['--list-output-formats']),
+    queryPandoc(['--list-extensions']),
+    queryPandoc(['--list-highlight-styles']),
+    detectPdfEngines()
+  ]);
+
+  return {
+    versionLine: versionOutput.split('\n')[0],
+    version: version.join('.'),
+    inputFormats: parseLines(inputList),
+    outputFormats: parseLines(outputList),
+    extensions: parseExtensionList(extensionList),
+    highlightStyles: parseLines(styleList),
+    pdfEngines,
+    features: {
+      // Pandoc 2 turned --smart into the smart extension
+      smartFlag: !versionAtLeast(version, [2]),
+      // --self-contained is deprecated in favour of --embed-resources since 2.19
+      embedResources: versionAtLeast(version, [2, 19]),
+      citeproc: versionAtLeast(version, [2, 11]),
+      pdfEngineFlag: versionAtLeast(version, [2]) ? '--pdf-engine' : '--latex-engine',
+      referenceDocFlag: versionAtLeast(version, [2]) ? '--reference-doc' : '--reference-docx',
+      epubStylesheetFlag: versionAtLeast(version, [2]) ? '--css' : '--epub-stylesheet',
+      highlightFlag: versionAtLeast(version, [3, 8]) ? '--syntax-highlighting' : '--highlight-style',
+      metadataFile: versionAtLeast(version, [2, 3]),
+      luaFilters: versionAtLeast(version, [2])
+    }
+  };
+};
+
+// Query the installed Pandoc and keep what it supports for building conversions
+const detectPandoc = async () => {
+  pandocCapabilities = await discoverPandoc();
+  return pandocCapabilities;
+};
+
+// What the installed Pandoc supports, or null until detectPandoc has succeeded
+const pandocInfo = () => pandocCapabilities;
+
+// Flags supported by the installed Pandoc
+const pandocFeatures = () => (pandocCapabilities ? pandocCapabilities.features : DEFAULT_PANDOC_FEATURES);
+
+// Installed PDF engines whose intermediate format the installed Pandoc can write
+const availablePdfEngines = () => {
+  if (!pandocCapabilities) return Object.keys(PDF_ENGINES);
+  const { pdfEngines, outputFormats } = pandocCapabilities;
+  return pdfEngines.filter(engine => outputFormats.includes(PDF_ENGINES[engine].writer));
+};
+
+// Extensions of each format with their defaults, queried from Pandoc on first use
+const formatExtensionCache = new Map();
+
+// Extensions a format supports, falling back to the general list for Pandoc
+// versions that cannot list them per format
+const formatExtensions = async (format) => {
+  if (!formatExtensionCache.has(format)) {
+    const listed = parseExtensionList(await queryPandoc([`--list-extensions=${format}`]));
+    const extensions = Object.keys(listed).length > 0 ? listed : (pandocCapabilities ? pandocCapabilities.extensions : {});
+    formatExtensionCache.set(format, extensions);
+  }
+  return formatExtensionCache.get(format);
+};
+
+// Base format of a format with extension modifiers, e.g. markdown+pipe_tables-smart -> markdown
+const formatBase = (format) => format.split(/[+-]/)[0];
+
+// Known formats marked with whether the installed Pandoc supports them, plus any other formats it reports
+const getFormatCatalog = () => {
+  if (!pandocCapabilities) {
+    return {
+      input: FORMATS.input.map(format => ({ ...format, supported: true })),
+      output: FORMATS.output.map(format => ({ ...format, supported: true }))
+    };
+  }
+
+  const { inputFormats, outputFormats } = pandocCapabilities;
+  // PDF is written by an external engine rather than listed as a writer
+  const outputSupported = (value) => (value === 'pdf' ? availablePdfEngines().length > 0 : outputFormats.includes(value));
+
+  const input = FORMATS.input.map(format => ({ ...format, supported: inputFormats.includes(format.value) }));
+  for (const value of inputFormats) {
+    if (!input.some(format => format.value === value)) {
+      input.push({ value, label: value, extensions: [], supported: true });
+    }
+  }
+
+  const output = FORMATS.output.map(format => ({ ...format, supported: outputSupported(format.value) }));
+  for (const value of outputFormats) {
+    if (!output.some(format => format.value === value)) {
+      output.push({ value, label: value, extension: getOutputExtension(value), supported: true });
+    }
+  }
+
+  return { input, output };
+};
+
+// Number of bytes read from the start of a file for content sniffing
+const SNIFF_BYTES = 64 * 1024;
+
+// Read the first bytes of a file
+const readFileHead = async (filePath, length = SNIFF_BYTES) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Identify a ZIP container (DOCX, ODT, EPUB) from its first entries
+const sniffZipFormat = (head) => {
+  const text = head.toString('latin1');
+  if (text.includes('mimetypeapplication/epub+zip')) return 'epub';
+  if (text.includes('mimetypeapplication/vnd.oasis.opendocument.text')) return 'odt';
+  if (text.includes('word/')) return 'docx';
+  return null;
+};
+
+// Identify a text format from its opening lines
+const sniffTextFormat = (head) => {
+  const text = head.toString('utf8').replace(/^\uFEFF/, '');
+  const start = text.trimStart();
+
+  if (start.startsWith('{\\rtf')) return 'rtf';
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<!DOCTYPE\s+html/i.test(start) || /^<html[\s>]/i.test(start)) {
+    return 'html';
+  }
+  if (/^\\documentclass\b/m.test(text) || /^\\begin\{document\}/m.test(text)) return 'latex';
+  if (/^#\+(TITLE|AUTHOR|OPTIONS|STARTUP|DATE):/im.test(text)) return 'org';
+  if (start.startsWith('{') && text.includes('"pandoc-api-version"')) return 'json';
+  return null;
+};
+
+// Look up an input format by file extension
+const formatFromExtension = (filename) => {
+  const ext = path.extname(filename || '').toLowerCase();
+  const match = FORMATS.input.find(format => format.extensions.includes(ext));
+  return match ? match.value : null;
+};
+
+// Detect the input format of a file from its content, then its extension
+const detectInputFormat = async (filePath, originalName) => {
+  const head = await readFileHead(filePath);
+
+  // ZIP local file header signature
+  const isZip = head.length >= 4 && head.readUInt32LE(0) === 0x04034b50;
+  const sniffed = isZip ? sniffZipFormat(head) : sniffTextFormat(head);
+  if (sniffed) {
+    return { format: sniffed, source: 'content' };
+  }
+
+  const byExtension = formatFromExtension(originalName);
+  if (byExtension) {
+    return { format: byExtension, source: 'extension' };
+  }
+
+  return { format: 'markdown', source: 'default' };
+};
+
+// Use the requested input format, or detect it when none was given
+const resolveInputFormat = async (filePath, originalName, requested) => {
+  if (requested && requested !== 'auto') {
+    return requested;
+  }
+  const { format } = await detectInputFormat(filePath, originalName);
+  return format;
+};
+
+// Error raised for invalid request fields, answered with a 400
+const validationError = (field, message) => Object.assign(new Error(`Invalid ${field}: ${message}`), { status: 400, field });
+
+// Conversion options accepted from clients. Each entry declares the value type,
+// allowed values, the output formats it applies to (all when omitted) and the
+// Pandoc arguments it produces from its value, all options and the conversion
+// context ({ toFormat, attachments }). Options marked `preview: false` are left
+// out of the HTML preview, which brings its own template and stylesheet. PDF
+// options list the `engines` they work with; setting one for another engine is
+// rejected, and at its default it is left out.
+const OPTION_SCHEMA = {
+  toc: {
+    type: 'boolean',
+    label: 'Table of Contents',
+    default: false,
+    formats: ['html', 'pdf', 'docx', 'epub'],
+    args: (value, options) => (value ? ['--toc', `--toc-depth=${options.tocDepth}`] : [])
+  },
+  tocDepth: {
+    type: 'integer',
+    label: 'TOC depth',
+    default: 6,
+    min: 1,
+    max: 6,
+    formats: ['html', 'pdf', 'docx', 'epub'],
+    args: () => []
+  },
+  numberSections: {
+    type: 'boolean',
+    label: 'Number Sections',
+    default: false,
+    args: (value) => (value ? ['--number-sections'] : [])
+  },
+  filters: {
+    type: 'list',
+    label: 'Lua filters',
+    // Filter ids in the order they run, before citation processing
+    default: [],
+    requires: 'luaFilters',
+    check: (value) => {
+      const unknown = value.find(id => !filters.has(id));
+      return unknown ? `unknown filter "${unknown}"` : null;
+    },
+    args: (value) => value.map(id => `--lua-filter=${filterPath(filters.get(id))}`)
+  },
+  bibliography: {
+    type: 'boolean',
+    label: 'Bibliography',
+    default: false,
+    requires: 'citeproc',
+    args: (value, options, { attachments }) => {
+      if (!citeprocEnabled(options, attachments)) return [];
+      return [
+        ...attachments.bibliographies.map(file => `--bibliography=${file}`),
+        ...(attachments.csl ? [`--csl=${attachments.csl}`] : []),
+        '--citeproc'
+      ];
+    }
+  },
+  citationStyle: {
+    type: 'enum',
+    label: 'Citation style',
+    // Chicago author-date is Pandoc's built-in style
+    default: 'chicago',
+    values: Object.keys(CITATION_STYLES),
+    args: (value, options, { attachments }) => {
+      // An uploaded CSL file takes precedence over the bundled styles
+      if (!citeprocEnabled(options, attachments) || attachments.csl || !CITATION_STYLES[value]) return [];
+      return [`--csl=${path.join(CSL_DIR, CITATION_STYLES[value])}`];
+    }
+  },
+  referencesPlacement: {
+    type: 'enum',
+    label: 'References placement',
+    // 'end' appends the references (or fills a ::: {#refs} div), 'section' adds
+    // a titled section at the end and 'none' leaves the references out
+    default: 'end',
+    values: ['end', 'section', 'none'],
+    args: (value, options, { attachments }) => {
+      if (!citeprocEnabled(options, attachments)) return [];
+      if (value === 'none') return ['--metadata=suppress-bibliography=true'];
+      if (value === 'section') return [`--metadata=reference-section-title=${options.referencesTitle}`];
+      return [];
+    }
+  },
+  referencesTitle: {
+    type: 'string',
+    label: 'References heading',
+    default: 'References',
+    args: () => []
+  },
+  referenceDoc: {
+    type: 'string',
+    label: 'Reference template',
+    // Empty uses Pandoc's built-in default reference document
+    default: '',
+    formats: REFERENCE_FORMATS,
+    check: (value) => (value && !templates.has(value) ? 'unknown template' : null),
+    args: (value, options, { toFormat }) => {
+      const template = templates.get(value);
+      // A template only styles output of its own kind
+      if (!template || template.format !== toFormat) return [];
+      return [`${pandocFeatures().referenceDocFlag}=${templatePath(template)}`];
+    }
+  },
+  css: {
+    type: 'boolean',
+    label: 'CSS Styling',
+    default: false,
+    formats: ['html', 'epub'],
+    preview: false,
+    args: (value, options, { toFormat }) => {
+      const style = findStyle(options.cssTheme);
+      if (!value || !style) return [];
+      const flag = toFormat === 'epub' ? pandocFeatures().epubStylesheetFlag : '--css';
+      return [`${flag}=${stylePath(style)}`];
+    }
+  },
+  cssTheme: {
+    type: 'string',
+    label: 'Stylesheet',
+    default: 'github',
+    formats: ['html', 'epub'],
+    preview: false,
+    check: (value) => (isStyleOfKind(value, 'css') ? null : 'unknown stylesheet'),
+    args: () => []
+  },
+  htmlTemplate: {
+    type: 'string',
+    label: 'HTML template',
+    // Empty uses Pandoc's default HTML template
+    default: '',
+    formats: ['html'],
+    preview: false,
+    check: (value) => (!value || isStyleOfKind(value, 'template') ? null : 'unknown HTML template'),
+    args: (value) => (value ? [`--template=${stylePath(findStyle(value))}`] : [])
+  },
+  highlightStyle: {
+    type: 'enum',
+    label: 'Highlight style',
+    default: 'pygments',
+    values: () => (pandocCapabilities && pandocCapabilities.highlightStyles.length > 0
+      ? pandocCapabilities.highlightStyles
+      : DEFAULT_HIGHLIGHT_STYLES),
+    args: (value) => [`${pandocFeatures().highlightFlag}=${value}`]
+  },
+  metadata: {
+    type: 'metadata',
+    label: 'Document metadata',
+    // Set from the request's `metadata` field; overrides metadata in the input
+    default: {},
+    args: (value) => Object.entries(value).flatMap(([key, entry]) =>
+      (Array.isArray(entry) ? entry : [entry]).map(item => `--metadata=${key}=${item}`))
+  },
+  wrap: {
+    type: 'enum',
+    label: 'Line wrapping',
+    default: 'preserve',
+    values: ['auto', 'none', 'preserve'],
+    args: (value) => [`--wrap=${value}`]
+  },
+  pdfEngine: {
+    type: 'enum',
+    label: 'PDF engine',
+    default: 'pdflatex',
+    values: Object.keys(PDF_ENGINES),
+    formats: ['pdf'],
+    args: (value) => [`${pandocFeatures().pdfEngineFlag}=${value}`]
+  },
+  paperSize: {
+    type: 'enum',
+    label: 'Paper size',
+    // Empty keeps the engine's default paper size
+    default: '',
+    values: ['', ...Object.keys(PAPER_SIZES)],
+    formats: ['pdf'],
+    engines: [...LATEX_ENGINES, 'wkhtmltopdf', 'typst'],
+    args: (value, options) => (value ? [`--variable=papersize=${PAPER_SIZES[value][PDF_ENGINES[options.pdfEngine].writer]}`] : [])
+  },
+  margin: {
+    type: 'string',
+    label: 'Margins',
+    default: '1in',
+    formats: ['pdf'],
+    engines: [...LATEX_ENGINES, 'wkhtmltopdf'],
+    check: (value) => (PAGE_LENGTH.test(value) ? null : 'expected a length such as 1in, 2.5cm or 20mm'),
+    args: (value, options) => (options.pdfEngine === 'wkhtmltopdf'
+      ? ['top', 'right', 'bottom', 'left'].map(side => `--variable=margin-${side}=${value}`)
+      : [`--variable=geometry:margin=${value}`])
+  },
+  mainFont: {
+    type: 'string',
+    label: 'Main font',
+    // Empty keeps the engine's default font
+    default: '',
+    formats: ['pdf'],
+    engines: ['xelatex', 'lualatex', 'typst'],
+    check: (value) => (!value || FONT_NAME.test(value) ? null : 'expected a font name'),
+    args: (value) => (value ? [`--variable=mainfont=${value}`] : [])
+  },
+  monoFont: {
+    type: 'string',
+    label: 'Monospace font',
+    default: '',
+    formats: ['pdf'],
+    engines: ['xelatex', 'lualatex'],
+    check: (value) => (!value || FONT_NAME.test(value) ? null : 'expected a font name'),
+    args: (value) => (value ? [`--variable=monofont=${value}`] : [])
+  },
+  fontSize: {
+    type: 'enum',
+    label: 'Font size',
+    default: '',
+    values: ['', '10pt', '11pt', '12pt'],
+    formats: ['pdf'],
+    engines: [...LATEX_ENGINES, 'typst'],
+    args: (value) => (value ? [`--variable=fontsize=${value}`] : [])
+  },
+  documentClass: {
+    type: 'enum',
+    label: 'Document class',
+    default: 'article',
+    values: ['article', 'report', 'book', 'memoir', 'scrartcl', 'scrreprt', 'scrbook'],
+    formats: ['pdf'],
+    engines: LATEX_ENGINES,
+    args: (value) => [`--variable=documentclass=${value}`]
+  }
+};
+
+// Default value of every schema option
+const optionDefaults = () => {
+  return Object.fromEntries(Object.entries(OPTION_SCHEMA).map(([name, spec]) => [name, spec.default]));
+};
+
+// Whether an option is left at its default; lists and objects are compared by content
+const isDefaultValue = (spec, value) => JSON.stringify(value) === JSON.stringify(spec.default);
+
+// Allowed values of an enum option, which may depend on the installed Pandoc
+const optionValues = (spec) => (typeof spec.values === 'function' ? spec.values() : spec.values);
+
+// Check document metadata against METADATA_FIELDS
+const validateMetadata = (field, metadata) => {
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+    throw validationError(field, 'expected an object');
+  }
+
+  for (const [key, value] of Object.entries(metadata)) {
+    const kind = METADATA_FIELDS[key];
+    if (!kind) {
+      throw validationError(`${field}.${key}`, 'unknown metadata field');
+    }
+    const values = kind === 'list' && Array.isArray(value) ? value : [value];
+    for (const item of values) {
+      if (typeof item !== 'string' || !item.trim() || item.length > MAX_METADATA_LENGTH || /[\r\n]/.test(item)) {
+        throw validationError(`${field}.${key}`, kind === 'list'
+          ? `expected a list of non-empty single-line strings up to ${MAX_METADATA_LENGTH} characters`
+          : `expected a non-empty single-line string up to ${MAX_METADATA_LENGTH} characters`);
+      }
+    }
+    if (key === 'lang' && !LANGUAGE_TAG.test(value)) {
+      throw validationError(`${field}.lang`, 'expected a language tag such as en or en-US');
+    }
+  }
+};
+
+// Check one option value against its schema entry
+const validateOptionValue = (name, spec, value) => {
+  const field = `options.${name}`;
+
+  switch (spec.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw validationError(field, 'expected true or false');
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        throw validationError(field, `expected an integer from ${spec.min} to ${spec.max}`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        throw validationError(field, 'expected a string');
+      }
+      break;
+    case 'enum':
+      if (!optionValues(spec).includes(value)) {
+        throw validationError(field, `expected one of ${optionValues(spec).join(', ')}`);
+      }
+      break;
+    case 'list':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        throw validationError(field, 'expected a list of strings');
+      }
+      break;
+    case 'metadata':
+      validateMetadata(field, value);
+      break;
+    default:
+      throw new Error(`Unknown option type ${spec.type} for ${name}`);
+  }
+
+  if (spec.requires && !isDefaultValue(spec, value) && !pandocFeatures()[spec.requires]) {
+    throw validationError(field, 'not supported by the installed Pandoc');
+  }
+
+  const problem = spec.check ? spec.check(value) : null;
+  if (problem) {
+    throw validationError(field, problem);
+  }
+};
+
+// Check that the chosen PDF engine is installed and every PDF option set works with it
+const validatePdfOptions = (options) => {
+  const engine = options.pdfEngine;
+  if (!availablePdfEngines().includes(engine)) {
+    throw validationError('options.pdfEngine', `${engine} is not installed`);
+  }
+
+  for (const [name, spec] of Object.entries(OPTION_SCHEMA)) {
+    if (spec.engines && !spec.engines.includes(engine) && !isDefaultValue(spec, options[name])) {
+      throw validationError(`options.${name}`, `not supported by the ${PDF_ENGINES[engine].label} engine`);
+    }
+  }
+};
+
+// Validate client options for the output formats and fill in defaults
+const normalizeOptions = (options = {}, toFormats = []) => {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw validationError('options', 'expected an object');
+  }
+
+  for (const name of Object.keys(options)) {
+    if (!OPTION_SCHEMA[name]) {
+      throw validationError(`options.${name}`, 'unknown option');
+    }
+  }
+
+  const normalized = { ...optionDefaults(), ...options };
+  for (const [name, spec] of Object.entries(OPTION_SCHEMA)) {
+    validateOptionValue(name, spec, normalized[name]);
+  }
+
+  if (toFormats.some(format => formatBase(format) === 'pdf')) {
+    validatePdfOptions(normalized);
+  }
+
+  return normalized;
+};
+
+// Check a format with optional extension modifiers (markdown+pipe_tables-smart)
+// against the formats and extensions the installed Pandoc reports
+const validateFormat = async (field, format, direction) => {
+  const match = typeof format === 'string' && format.match(/^([A-Za-z0-9_]+)((?:[+-][A-Za-z0-9_]+)*)$/);
+  if (!match) {
+    throw validationError(field, `malformed format "${format}"`);
+  }
+
+  const [, base, modifiers] = match;
+  if (!getFormatCatalog()[direction].some(f => f.value === base && f.supported)) {
+    throw validationError(field, `unsupported ${direction} format "${base}"`);
+  }
+  if (!modifiers) {
+    return format;
+  }
+  if (base === 'pdf') {
+    throw validationError(field, 'PDF output does not take extensions');
+  }
+
+  const extensions = await formatExtensions(base);
+  for (const [, name] of modifiers.matchAll(/[+-]([A-Za-z0-9_]+)/g)) {
+    if (!(name in extensions)) {
+      throw validationError(field, `extension "${name}" is not supported by ${base}`);
+    }
+  }
+  return format;
+};
+
+// Check an input format field, allowing empty or 'auto' for detection
+const validateInputFormat = async (field, format) => {
+  if (!format || format === 'auto') {
+    return '';
+  }
+  return validateFormat(field, format, 'input');
+};
+
+// Parse and validate the format and option fields of a conversion request.
+// With multipleFormats, several output formats may be given as a JSON array in toFormats.
+const parseConversionRequest = async (body, fileCount, { multipleFormats = false } = {}) => {
+  const { toFormat } = body;
+  let toFormats = [toFormat];
+  if (body.toFormats) {
+    if (!multipleFormats) {
+      throw validationError('toFormats', 'several output formats need a conversion job (/api/jobs)');
+    }
+    try {
+      toFormats = JSON.parse(body.toFormats);
+    } catch (error) {
+      throw validationError('toFormats', 'expected a JSON array');
+    }
+    if (!Array.isArray(toFormats) || toFormats.length === 0) {
+      throw validationError('toFormats', 'expected a non-empty JSON array');
+    }
+    if (new Set(toFormats).size !== toFormats.length) {
+      throw validationError('toFormats', 'lists a format twice');
+    }
+  }
+  if (!toFormats[0]) {
+    throw validationError('toFormat', 'missing');
+  }
+  for (const [index, format] of toFormats.entries()) {
+    await validateFormat(body.toFormats ? `toFormats[${index}]` : 'toFormat', format, 'output');
+  }
+
+  const fromFormat = await validateInputFormat('fromFormat', body.fromFormat);
+
+  let fromFormats = [];
+  if (body.fromFormats) {
+    try {
+      fromFormats = JSON.parse(body.fromFormats);
+    } catch (error) {
+      throw validationError('fromFormats', 'expected a JSON array');
+    }
+    if (!Array.isArray(fromFormats)) {
+      throw validationError('fromFormats', 'expected a JSON array');
+    }
+  }
+
+  let options = {};
+  if (body.options) {
+    try {
+      options = JSON.parse(body.options);
+    } catch (error) {
+      throw validationError('options', 'expected a JSON object');
+    }
+  }
+
+  // Document metadata arrives as its own JSON field and is applied as the metadata option
+  if (body.metadata) {
+    let metadata;
+    try {
+      metadata = JSON.parse(body.metadata);
+    } catch (error) {
+      throw validationError('metadata', 'expected a JSON object');
+    }
+    validateMetadata('metadata', metadata);
+    if (typeof options === 'object' && options !== null && !Array.isArray(options)) {
+      options = { ...options, metadata };
+    }
+  }
+
+  // Per-file input formats fall back to the shared one
+  const fileFormats = [];
+  for (let index = 0; index < fileCount; index++) {
+    fileFormats.push(await validateInputFormat(`fromFormats[${index}]`, fromFormats[index]) || fromFormat);
+  }
+
+  return {
+    toFormat: toFormats[0],
+    toFormats,
+    fromFormats: fileFormats,
+    options: normalizeOptions(options, toFormats)
+  };
+};
+
+// How the outputs of a job for several formats are grouped in its ZIP
+const ZIP_GROUPINGS = ['format', 'file'];
+
+// Citations are processed when requested or when bibliography files are attached
+const citeprocEnabled = (options, attachments) => Boolean(options.bibliography || attachments.bibliographies.length > 0);
+
+// Validate the bibliography, CSL, PDF include and YAML metadata files of a conversion,
+// given as uploaded files ({ originalname, path }) by field name
+const parseAttachments = (files, toFormats, options) => {
+  const fields = Array.isArray(files) ? {} : files || {};
+  const bibliographies = fields.bibliography || [];
+  const [csl] = fields.csl || [];
+  const [includeInHeader] = fields.includeInHeader || [];
+  const [includeAfterBody] = fields.includeAfterBody || [];
+  const [metadataFile] = fields.metadataFile || [];
+
+  for (const [index, file] of bibliographies.entries()) {
+    if (!BIBLIOGRAPHY_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      throw validationError(`bibliography[${index}]`, `expected one of ${BIBLIOGRAPHY_EXTENSIONS.join(', ')}`);
+    }
+  }
+  if (csl && path.extname(csl.originalname).toLowerCase() !== '.csl') {
+    throw validationError('csl', 'expected a .csl file');
+  }
+  if ((bibliographies.length > 0 || csl) && !pandocFeatures().citeproc) {
+    throw validationError(bibliographies.length > 0 ? 'bibliography' : 'csl', 'not supported by the installed Pandoc');
+  }
+
+  // Include files are raw markup of the PDF engine's intermediate format
+  for (const [field, file] of Object.entries({ includeInHeader, includeAfterBody })) {
+    if (!file) continue;
+    if (!toFormats.some(format => formatBase(format) === 'pdf')) {
+      throw validationError(field, 'only applies to PDF output');
+    }
+    const { label, writer } = PDF_ENGINES[options.pdfEngine];
+    if (!INCLUDE_EXTENSIONS[writer].includes(path.extname(file.originalname).toLowerCase())) {
+      throw validationError(field, `expected one of ${INCLUDE_EXTENSIONS[writer].join(', ')} for the ${label} engine`);
+    }
+  }
+
+  if (metadataFile) {
+    if (!METADATA_FILE_EXTENSIONS.includes(path.extname(metadataFile.originalname).toLowerCase())) {
+      throw validationError('metadataFile', `expected one of ${METADATA_FILE_EXTENSIONS.join(', ')}`);
+    }
+    if (!pandocFeatures().metadataFile) {
+      throw validationError('metadataFile', 'not supported by the installed Pandoc');
+    }
+  }
+
+  return {
+    bibliographies: bibliographies.map(file => file.path),
+    csl: csl ? csl.path : null,
+    includeInHeader: includeInHeader ? includeInHeader.path : null,
+    includeAfterBody: includeAfterBody ? includeAfterBody.path : null,
+    metadataFile: metadataFile ? metadataFile.path : null,
+    resourceDir: null
+  };
+};
+
+// Paths of every file and folder attached to a conversion
+const attachmentPaths = ({ bibliographies, csl, includeInHeader, includeAfterBody, metadataFile, resourceDir }) => {
+  return [...bibliographies, csl, includeInHeader, includeAfterBody, metadataFile, resourceDir].filter(Boolean);
+};
+
+// How paths are handed to Pandoc: as they are, or absolute when it runs in a project folder (workdir)
+const pandocPaths = (workdir) => (filePath) => (workdir && filePath ? path.resolve(filePath) : filePath);
+
+// Attachments with absolute paths, for Pandoc running in a project folder
+const absoluteAttachments = (attachments = NO_ATTACHMENTS) => {
+  const at = pandocPaths(true);
+  return {
+    bibliographies: attachments.bibliographies.map(at),
+    csl: at(attachments.csl),
+    includeInHeader: at(attachments.includeInHeader),
+    includeAfterBody: at(attachments.includeAfterBody),
+    metadataFile: at(attachments.metadataFile),
+    resourceDir: at(attachments.resourceDir)
+  };
+};
+
+// References that do not depend on the folder a document is in: URLs, data: URIs,
+// root-relative paths and fragments
+const ABSOLUTE_REFERENCE = /^([a-z][a-z0-9+.-]*:|\/|#)/i;
+
+// Split Pandoc's stderr into warning messages
+const parseWarnings = (stderr) => parseLines(stderr).map(line => line.replace(/^\[WARNING\]\s*/, ''));
+
+// Citation keys Pandoc could not find in the bibliography
+const parseMissingCitations = (warnings) => {
+  const keys = new Set();
+  for (const warning of warnings) {
+    // Pandoc 2.11+: "Citeproc: citation KEY not found"; pandoc-citeproc: "reference KEY not found"
+    const match = warning.match(/(?:citation|reference) (\S+) not found/);
+    if (match) {
+      keys.add(match[1]);
+    }
+  }
+  return [...keys];
+};
+
+// Build the Pandoc argument list; values are passed straight to the process, never through a shell.
+// Formats may carry extension modifiers, which are passed on to the reader and writer.
+const buildPandocArgs = (inputPath, outputPath, fromFormat, toFormatSpec, options = {}, attachments = NO_ATTACHMENTS, mediaDir = null) => {
+  const features = pandocFeatures();
+  const resolved = { ...optionDefaults(), ...options };
+  const toFormat = formatBase(toFormatSpec);
+  // PDF is rendered by the engine from its intermediate format and inferred from the output extension
+  const writer = toFormat === 'pdf' ? PDF_ENGINES[resolved.pdfEngine].writer : toFormatSpec;
+  const args = [inputPath, '-f', fromFormat, '-t', writer, '-o', outputPath];
+
+  // Standalone document with proper headers
+  if (['html', 'docx', 'odt', 'epub', 'pdf'].includes(toFormat)) {
+    args.push('--standalone');
+  }
+
+  // Preserve formatting
+  args.push('--preserve-tabs');
+
+  // Handle images - extract into the conversion's own media directory
+  if (mediaDir) {
+    args.push(`--extract-media=${mediaDir}`);
+  }
+
+  // For HTML output, add better formatting
+  if (toFormat === 'html') {
+    args.push(features.embedResources ? '--embed-resources' : '--self-contained', '--mathjax');
+  }
+
+  // For PDF output, add the header and footer includes; the engine and page layout come from the schema
+  if (toFormat === 'pdf') {
+    if (attachments.includeInHeader) {
+      args.push(`--include-in-header=${attachments.includeInHeader}`);
+    }
+    if (attachments.includeAfterBody) {
+      args.push(`--include-after-body=${attachments.includeAfterBody}`);
+    }
+  }
+
+  // Smart typography is a flag before Pandoc 2 and an extension enabled by default after
+  if (features.smartFlag) {
+    args.push('--smart');
+  }
+
+  // Relative images of a fetched web page or uploaded project are looked up in its folder
+  if (attachments.resourceDir) {
+    args.push(`--resource-path=${['.', attachments.resourceDir].join(path.delimiter)}`);
+  }
+
+  // Metadata in the input takes precedence over a metadata file; the metadata option overrides both
+  if (attachments.metadataFile) {
+    args.push(`--metadata-file=${attachments.metadataFile}`);
+  }
+
+  // Options from the schema that apply to this output format and PDF engine
+  for (const [name, spec] of Object.entries(OPTION_SCHEMA)) {
+    if (spec.formats && !spec.formats.includes(toFormat)) continue;
+    if (spec.engines && !spec.engines.includes(resolved.pdfEngine)) continue;
+    args.push(...spec.args(resolved[name], resolved, { toFormat, attachments }));
+  }
+
+  return args;
+};
+
+// Plain text of a list of Pandoc AST inlines or blocks
+const astText = (nodes) => nodes.map((node) => {
+  switch (node.t) {
+    case 'Str':
+      return node.c;
+    case 'Space':
+    case 'SoftBreak':
+    case 'LineBreak':
+      return ' ';
+    case 'Code':
+    case 'Math':
+      return node.c[1];
+    case 'Emph':
+    case 'Strong':
+    case 'Strikeout':
+    case 'Underline':
+    case 'Superscript':
+    case 'Subscript':
+    case 'SmallCaps':
+    case 'Para':
+    case 'Plain':
+      return astText(node.c);
+    case 'Quoted':
+    case 'Cite':
+    case 'Link':
+    case 'Image':
+    case 'Span':
+      return astText(node.c[1]);
+    default:
+      return '';
+  }
+}).join('');
+
+// Convert a Pandoc AST metadata value to plain strings, lists and objects
+const metaValue = (value) => {
+  switch (value.t) {
+    case 'MetaString':
+    case 'MetaBool':
+      return value.c;
+    case 'MetaInlines':
+    case 'MetaBlocks':
+      return astText(value.c).trim();
+    case 'MetaList':
+      return value.c.map(metaValue);
+    case 'MetaMap':
+      return Object.fromEntries(Object.entries(value.c).map(([key, entry]) => [key, metaValue(entry)]));
+    default:
+      return null;
+  }
+};
+
+// Parse a document to Pandoc's JSON AST, extracting its images into mediaDir when given
+const readDocument = (inputPath, fromFormat, { submission, mediaDir, onStart, workdir = null } = {}) => {
+  return withPandocSlot(submission, async () => {
+    if (onStart) {
+      onStart();
+    }
+
+    const at = pandocPaths(workdir);
+    const args = [at(inputPath), '-f', fromFormat, '-t', 'json'];
+    if (mediaDir) {
+      args.push(`--extract-media=${at(mediaDir)}`);
+    }
+    const { output } = await runPandocOutput(args, submission, { cwd: workdir });
+    return JSON.parse(output);
+  });
+};
+
+// Metadata of a parsed document as plain values
+const documentMetadata = ({ meta = {} }) => Object.fromEntries(Object.entries(meta).map(([key, value]) => [key, metaValue(value)]));
+
+// Read the metadata of a document from Pandoc's JSON AST
+const readDocumentMetadata = async (inputPath, fromFormat, { submission } = {}) => {
+  return documentMetadata(await readDocument(inputPath, fromFormat, { submission }));
+};
+
+// Reading speed behind the reading time of an inspected document
+const WORDS_PER_MINUTE = 200;
+// Longest footnote text reported by an inspection
+const MAX_NOTE_TEXT = 200;
+// Blocks whose text is kept apart from the text around it
+const TEXT_BLOCKS = ['Para', 'Plain', 'Header', 'LineBlock', 'BlockQuote', 'Div', 'Figure'];
+// Elements with an identifier in their first field ([id, classes, attributes])
+const ATTR_ELEMENTS = ['Div', 'Span', 'CodeBlock', 'Code', 'Table', 'Figure', 'Link', 'Image'];
+// URLs with a scheme, such as https:, mailto: or data:
+const URL_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+
+// Collect the prose of AST nodes into parts, leaving out code and raw markup
+const gatherText = (node, parts) => {
+  if (Array.isArray(node)) {
+    node.forEach(item => gatherText(item, parts));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  switch (node.t) {
+    case 'Str':
+      parts.push(node.c);
+      return;
+    case 'Space':
+    case 'SoftBreak':
+    case 'LineBreak':
+      parts.push(' ');
+      return;
+    case 'Code':
+    case 'Math':
+      parts.push(node.c[1]);
+      return;
+    case 'CodeBlock':
+    case 'RawBlock':
+    case 'RawInline':
+      return;
+    case 'Cite':
+      // The citation as written; its prefixes and suffixes are part of it
+      gatherText(node.c[1], parts);
+      return;
+    case 'Note':
+      // A footnote sits against the word it follows
+      parts.push(' ');
+      gatherText(node.c, parts);
+      return;
+    default:
+      gatherText(node.c, parts);
+      if (TEXT_BLOCKS.includes(node.t)) {
+        parts.push('\n');
+      }
+  }
+};
+
+// Prose of AST nodes as one line of text
+const plainText = (nodes) => {
+  const parts = [];
+  gatherText(nodes, parts);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+};
+
+// Rows and columns of a table, from the Pandoc 2.10+ layout
+// [attr, caption, colSpecs, head, bodies, foot] or the older [caption, aligns, widths, headers, rows]
+const tableShape = (table) => {
+  if (table.c.length === 6) {
+    const [, [, caption], colSpecs, [, headRows], bodies] = table.c;
+    return {
+      caption: plainText(caption),
+      columns: colSpecs.length,
+      headerRows: headRows.length,
+      rows: bodies.reduce((total, [, , intermediate, rows]) => total + intermediate.length + rows.length, 0)
+    };
+  }
+  const [caption, aligns, , headers, rows] = table.c;
+  return {
+    caption: plainText(caption),
+    columns: aligns.length,
+    headerRows: headers.some(cell => cell.length > 0) ? 1 : 0,
+    rows: rows.length
+  };
+};
+
+// Walk a parsed document, noting its headings, identifiers, images, links, tables,
+// footnotes and citations in found
+const collectElements = (node, found) => {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectElements(item, found));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  if (ATTR_ELEMENTS.includes(node.t) && node.c[0][0]) {
+    found.ids.add(node.c[0][0]);
+  }
+
+  switch (node.t) {
+    case 'Header': {
+      const [level, [id], inlines] = node.c;
+      found.ids.add(id);
+      found.outline.push({ level, id, text: plainText(inlines) });
+      break;
+    }
+    case 'Image':
+      found.images.push({ target: node.c[2][0], alt: plainText(node.c[1]) });
+      return;
+    case 'Link':
+      found.links.push({ url: node.c[2][0], text: plainText(node.c[1]) });
+      break;
+    case 'Table':
+      found.tables.push(tableShape(node));
+      break;
+    case 'Note': {
+      const text = plainText(node.c);
+      found.footnotes.push({
+        number: found.footnotes.length + 1,
+        text: text.length > MAX_NOTE_TEXT ? `${text.slice(0, MAX_NOTE_TEXT)}…` : text
+      });
+      break;
+    }
+    case 'Cite':
+      for (const citation of node.c[0]) {
+        found.citations.set(citation.citationId, (found.citations.get(citation.citationId) || 0) + 1);
+      }
+      return;
+    default:
+      break;
+  }
+  collectElements(node.c, found);
+};
+
+// An anchor as written in a link, decoded; one that is not valid percent-encoding is kept as is
+const decodeFragment = (fragment) => {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (error) {
+    return fragment;
+  }
+};
+
+// Whether a relative reference names a file: one extracted into mediaDir, since
+// nothing else comes with an uploaded document
+const referenceFound = async (target, mediaDir) => {
+  if (!mediaDir) return false;
+  let file;
+  try {
+    file = path.resolve(decodeURI(target.split(/[?#]/)[0]));
+  } catch (error) {
+    return false;
+  }
+  if (path.relative(path.resolve(mediaDir), file).startsWith('..')) return false;
+  return fs.stat(file).then(stats => stats.isFile(), () => false);
+};
+
+// Report what a document holds, from Pandoc's JSON AST: its outline, word and character
+// counts and reading time, images (marking local ones that would be missing), links
+// (marking internal and local ones that lead nowhere), tables, footnotes, citations and
+// metadata. Images of DOCX, ODT and EPUB input are extracted into mediaDir to be found.
+const inspectDocument = async (inputPath, fromFormat, { submission, mediaDir = null } = {}) => {
+  const extract = mediaDir && MEDIA_INPUT_FORMATS.includes(formatBase(fromFormat)) ? mediaDir : null;
+  const document = await readDocument(inputPath, fromFormat, { submission, mediaDir: extract });
+
+  const found = { ids: new Set(), outline: [], images: [], links: [], tables: [], footnotes: [], citations: new Map() };
+  collectElements(document.blocks, found);
+
+  const parts = [];
+  gatherText(document.blocks, parts);
+  const text = parts.join('');
+  const words = text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+
+  // Extracted images are named as Pandoc wrote them; report them relative to the extraction
+  const shownTarget = (target) => (extract && !URL_SCHEME.test(target) && !path.relative(extract, target).startsWith('..')
+    ? path.relative(extract, target).split(path.sep).join('/')
+    : target);
+
+  const images = [];
+  for (const image of found.images) {
+    const remote = URL_SCHEME.test(image.target);
+    images.push({
+      target: shownTarget(image.target),
+      alt: image.alt,
+      remote,
+      missing: !remote && !(await referenceFound(image.target, extract))
+    });
+  }
+
+  const links = [];
+  for (const link of found.links) {
+    let kind = 'local';
+    let broken = null;
+    if (link.url.startsWith('#')) {
+      kind = 'internal';
+      broken = !found.ids.has(decodeFragment(link.url.slice(1)));
+    } else if (URL_SCHEME.test(link.url)) {
+      // External links are listed, not fetched
+      kind = 'external';
+    } else {
+      broken = !(await referenceFound(link.url, extract));
+    }
+    links.push({ url: link.url, text: link.text, kind, broken });
+  }
+
+  return {
+    fromFormat,
+    outline: found.outline,
+    counts: {
+      words,
+      characters: text.replace(/\s+/g, ' ').trim().length,
+      charactersNoSpaces: text.replace(/\s/g, '').length
+    },
+    readingTime: Math.ceil(words / WORDS_PER_MINUTE),
+    images,
+    links,
+    tables: found.tables,
+    footnotes: found.footnotes,
+    citations: [...found.citations].map(([id, count]) => ({ id, count })),
+    metadata: documentMetadata(document)
+  };
+};
+
+// Title of a parsed document as AST inlines, falling back to its file name
+const documentTitle = (document, fileName) => {
+  const { title } = document.meta || {};
+  if (title && title.t === 'MetaInlines') {
+    return title.c;
+  }
+  return path.parse(fileName).name.split(/\s+/).flatMap((word, index) => (
+    index > 0 ? [{ t: 'Space' }, { t: 'Str', c: word }] : [{ t: 'Str', c: word }]
+  ));
+};
+
+// A page holding only a file's title, left out of the table of contents and numbering
+const titlePageBlock = (inlines) => ({
+  t: 'Div',
+  c: [['', ['title-page'], []], [{ t: 'Header', c: [1, ['', ['unnumbered', 'unlisted'], []], inlines] }]]
+});
+
+// Join parsed documents into one, separated by page breaks or a title page per file.
+// Metadata of earlier documents wins over later ones.
+const mergeDocuments = (documents, fileNames, separator) => {
+  const blocks = documents.flatMap((document, index) => [
+    ...(index > 0 && separator !== 'none' ? PAGE_BREAK_BLOCKS : []),
+    ...(separator === 'titlePage' ? [titlePageBlock(documentTitle(document, fileNames[index])), ...PAGE_BREAK_BLOCKS] : []),
+    ...document.blocks
+  ]);
+
+  return {
+    'pandoc-api-version': documents[0]['pandoc-api-version'],
+    meta: Object.assign({}, ...documents.map(document => document.meta).reverse()),
+    blocks
+  };
+};
+
+// Prefix the relative image targets of a parsed document with folder, for rendering it
+// from a parent folder. Images are { t: 'Image', c: [attr, caption, [target, title]] }.
+const rebaseImages = (document, folder) => {
+  if (!folder) {
+    return document;
+  }
+
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+    } else if (node && typeof node === 'object') {
+      if (node.t === 'Image' && Array.isArray(node.c) && !ABSOLUTE_REFERENCE.test(node.c[2][0])) {
+        node.c[2][0] = `${folder.split(path.sep).join('/')}/${node.c[2][0]}`;
+      }
+      Object.values(node).forEach(walk);
+    }
+  };
+  walk(document.blocks);
+  return document;
+};
+
+// Error raised for conversions stopped by a cancel request
+const cancelledError = () => Object.assign(new Error('Conversion cancelled'), { code: 'ECANCELLED' });
+
+// A group of conversions that can be cancelled together
+const createSubmission = () => ({
+  cancelled: false,
+  processes: new Set()
+});
+
+// Pandoc worker pool: waiting tasks and number of busy slots
+const pandocQueue = [];
+let activePandoc = 0;
+
+// Hand free slots to waiting tasks
+const drainPandocQueue = () => {
+  while (activePandoc < PANDOC_CONCURRENCY && pandocQueue.length > 0) {
+    const waiter = pandocQueue.shift();
+    activePandoc++;
+    waiter.resolve();
+  }
+};
+
+// Wait for a free Pandoc slot
+const acquirePandocSlot = (submission) => {
+  return new Promise((resolve, reject) => {
+    pandocQueue.push({ resolve, reject, submission });
+    drainPandocQueue();
+  });
+};
+
+// Give a Pandoc slot back to the pool
+const releasePandocSlot = () => {
+  activePandoc--;
+  drainPandocQueue();
+};
+
+// Stop the queued and running conversions of a submission
+const cancelSubmission = (submission) => {
+  submission.cancelled = true;
+
+  for (let i = pandocQueue.length - 1; i >= 0; i--) {
+    if (pandocQueue[i].submission === submission) {
+      const [waiter] = pandocQueue.splice(i, 1);
+      waiter.reject(cancelledError());
+    }
+  }
+
+  for (const child of submission.processes) {
+    child.kill('SIGKILL');
+  }
+};
+
+// Run a task in a Pandoc slot, unless its submission is cancelled while it waits
+const withPandocSlot = async (submission, task) => {
+  await acquirePandocSlot(submission);
+
+  try {
+    if (submission && submission.cancelled) {
+      throw cancelledError();
+    }
+    return await task();
+  } finally {
+    releasePandocSlot();
+  }
+};
+
+// Convert a single file. Output that links to extracted images comes back with
+// the media directory and its files ({ path, name } relative to the directory);
+// the caller packages them and removes the directory with removeMedia().
+// Parsed documents (Pandoc JSON) pass the directory their images were already
+// extracted into as mediaDir; that directory stays with the caller.
+const convertFile = (inputPath, outputPath, fromFormat, toFormat, options, { submission, onStart, attachments, mediaDir: extractedMedia = null, workdir = null } = {}) => {
+  return withPandocSlot(submission, async () => {
+    if (onStart) {
+      onStart();
+    }
+
+    // Every conversion extracts into its own directory so concurrent jobs never share images
+    const extract = !extractedMedia && MEDIA_INPUT_FORMATS.includes(formatBase(fromFormat));
+    const mediaDir = extractedMedia || (extract ? mediaDirFor(outputPath) : null);
+    const at = pandocPaths(workdir);
+    let media = [];
+
+    try {
+      const args = buildPandocArgs(at(inputPath), at(outputPath), fromFormat, toFormat, options,
+        workdir ? absoluteAttachments(attachments) : attachments, extract ? at(mediaDir) : null);
+      const { stderr } = await runPandoc(args, submission, { cwd: workdir });
+      const warnings = parseWarnings(stderr);
+
+      if (mediaDir && !EMBEDDED_MEDIA_FORMATS.includes(formatBase(toFormat))) {
+        media = await listMedia(mediaDir);
+        if (media.length > 0) {
+          await relinkMedia(outputPath, at(mediaDir));
+        }
+      }
+
+      return {
+        outputPath,
+        mediaDir: media.length > 0 ? mediaDir : null,
+        media,
+        warnings,
+        missingCitations: parseMissingCitations(warnings)
+      };
+    } finally {
+      // Images embedded in the output, or left behind by a failed run, are no longer needed
+      if (extract && media.length === 0) {
+        await removeMedia(mediaDir);
+      }
+    }
+  });
+};
+
+// Run Pandoc with an argument list, enforcing the timeout and tracking the process for cancellation.
+// A cwd runs it in a project folder. Resolves to Pandoc's { stdout, stderr }; stderr holds any warnings.
+const runPandoc = (args, submission, { cwd } = {}) => {
+  return new Promise((resolve, reject) => {
+    logger.log(`Executing: pandoc ${args.join(' ')}${cwd ? ` (in ${cwd})` : ''}`);
+
+    const child = execFile('pandoc', args, {
+      cwd,
+      maxBuffer: 10 * 1024 * 1024,
+      timeout: PANDOC_TIMEOUT,
+      killSignal: 'SIGKILL'
+    }, (error, stdout, stderr) => {
+      if (submission) {
+        submission.processes.delete(child);
+      }
+
+      if (submission && submission.cancelled) {
+        reject(cancelledError());
+      } else if (error && error.killed) {
+        reject(new Error(`Conversion timed out after ${Math.round(PANDOC_TIMEOUT / 1000)} seconds`));
+      } else if (error) {
+        logger.error('Pandoc error:', stderr);
+        reject(new Error(`Conversion failed: ${stderr || error.message}`));
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+
+    if (submission) {
+      submission.processes.add(child);
+    }
+  });
+};
+
+// Run Pandoc and resolve to { output, stderr }, its output read back from a temporary file.
+// Results such as a JSON AST or HTML with embedded images can be far larger than the
+// output execFile would take from stdout.
+const runPandocOutput = async (args, submission, { cwd } = {}) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pandoc-gui-'));
+  try {
+    const { stderr } = await runPandoc([...args, '-o', path.join(dir, 'output')], submission, { cwd });
+    return { output: await fs.readFile(path.join(dir, 'output'), 'utf8'), stderr };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Create a ZIP archive from a list of { path, name } entries; entries with
+// { content, name } are written from memory instead of from a file
+const createZip = (entries, zipPath) => {
+  return new Promise((resolve, reject) => {
+    const output = require('fs').createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => {
+      logger.log(`ZIP created: ${archive.pointer()} total bytes`);
+      resolve(zipPath);
+    });
+
+    archive.on('error', (err) => {
+      reject(err);
+    });
+
+    output.on('error', (err) => {
+      reject(err);
+    });
+
+    archive.pipe(output);
+
+    for (const entry of entries) {
+      if (entry.content !== undefined) {
+        archive.append(entry.content, { name: entry.name });
+      } else {
+        archive.file(entry.path, { name: entry.name });
+      }
+    }
+
+    archive.finalize();
+  });
+};
+
+// Make a filename unique within a set of names already taken
+const uniqueName = (name, taken) => {
+  const { name: base, ext } = path.parse(name);
+  let candidate = name;
+  for (let i = 1; taken.has(candidate); i++) {
+    candidate = `${base}-${i}${ext}`;
+  }
+  taken.add(candidate);
+  return candidate;
+};
+
+// Directory a conversion extracts its images into, next to its output
+const mediaDirFor = (outputPath) => {
+  const { dir, name } = path.parse(outputPath);
+  return path.join(dir, `${name}-media`);
+};
+
+// List the files of a media directory as { path, name } entries named relative to it
+const listMedia = async (mediaDir) => {
+  const entries = [];
+  const walk = async (dir) => {
+    let items;
+    try {
+      items = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const item of items) {
+      const itemPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        await walk(itemPath);
+      } else {
+        entries.push({ path: itemPath, name: path.relative(mediaDir, itemPath).split(path.sep).join('/') });
+      }
+    }
+  };
+  await walk(mediaDir);
+  return entries;
+};
+
+// Rewrite image links in a text output from the extraction directory to the packaged
+// media/ folder, e.g. downloads/report-1-media/media/image1.png -> media/image1.png
+const relinkMedia = async (outputPath, mediaDir) => {
+  const content = await fs.readFile(outputPath, 'utf8');
+  await fs.writeFile(outputPath, content.split(`${mediaDir}/`).join(''));
+};
+
+// Delete a media directory and everything in it
+const removeMedia = async (mediaDir) => {
+  if (mediaDir) {
+    await fs.rm(mediaDir, { recursive: true, force: true });
+  }
+};
+
+// ZIP entries for a converted document and its media, optionally inside a folder
+const documentEntries = (outputPath, name, media = [], folder = '') => [
+  { path: outputPath, name: `${folder}${name}` },
+  ...media.map(entry => ({ path: entry.path, name: `${folder}${entry.name}` }))
+];
+
+// Names of the manifest and report added to batch ZIPs
+const MANIFEST_NAME = 'manifest.json';
+const REPORT_NAME = 'report.txt';
+
+// Machine-readable outcome of a batch: one entry per output, as sent to job clients
+// ({ name, format, output, status, error, warnings, missingCitations, duration })
+const buildManifest = (toFormats, files) => ({
+  createdAt: new Date().toISOString(),
+  toFormats,
+  total: files.length,
+  succeeded: files.filter(file => file.status === 'done').length,
+  failed: files.filter(file => file.status !== 'done').length,
+  files
+});
+
+// Plain-text version of a manifest for people opening the ZIP
+const formatReport = (manifest) => {
+  const lines = [
+    `Conversion report, ${manifest.createdAt}`,
+    `${manifest.succeeded} of ${manifest.total} converted, ${manifest.failed} not converted`,
+    ''
+  ];
+  for (const file of manifest.files) {
+    const timing = file.duration === null ? '' : `, ${(file.duration / 1000).toFixed(1)}s`;
+    lines.push(`${file.status.toUpperCase().padEnd(10)}${file.name} -> ${file.output || file.format} (${file.format}${timing})`);
+    if (file.error) {
+      lines.push(`    Error: ${file.error.trim()}`);
+    }
+    for (const warning of file.warnings) {
+      lines.push(`    Warning: ${warning}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+// ZIP entries holding the manifest and report of a batch
+const reportEntries = (manifest) => [
+  { name: MANIFEST_NAME, content: JSON.stringify(manifest, null, 2) },
+  { name: REPORT_NAME, content: formatReport(manifest) }
+];
+
+// Load a JSON index of library items into a Map keyed by id
+const loadIndex = async (indexPath, items) => {
+  try {
+    const list = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+    for (const item of list) {
+      items.set(item.id, item);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error(`Error loading ${indexPath}:`, err);
+    }
+  }
+};
+
+// Write a library's items to its JSON index
+const saveIndex = async (indexPath, items) => {
+  await fs.writeFile(indexPath, JSON.stringify([...items.values()], null, 2));
+};
+
+// Reference document templates by id, persisted in TEMPLATES_INDEX
+const templates = new Map();
+
+// Location of a stored template file
+const templatePath = (template) => path.join(TEMPLATES_DIR, template.filename);
+
+// Uploaded stylesheets and HTML templates by id, persisted in STYLES_INDEX
+const styles = new Map();
+
+// Find a built-in theme or uploaded style by id
+const findStyle = (id) => BUILTIN_THEMES.find(theme => theme.id === id) || styles.get(id);
+
+// Check that an id names a style of the given kind
+const isStyleOfKind = (id, kind) => {
+  const style = findStyle(id);
+  return Boolean(style && style.kind === kind);
+};
+
+// Location of a built-in or uploaded style file
+const stylePath = (style) => path.join(style.builtIn ? THEMES_DIR : STYLES_DIR, style.filename);
+
+// Uploaded Lua filters by id, persisted in FILTERS_INDEX
+const filters = new Map();
+
+// Location of a stored filter file
+const filterPath = (filter) => path.join(FILTERS_DIR, filter.filename);
+
+// Read the template, style and filter libraries from their indexes
+const loadLibraries = async () => {
+  await loadIndex(TEMPLATES_INDEX, templates);
+  await loadIndex(STYLES_INDEX, styles);
+  await loadIndex(FILTERS_INDEX, filters);
+};
+
+// Longest preset name accepted
+const MAX_PRESET_NAME = 100;
+
+// Marks an exported presets file
+const PRESET_FILE_VERSION = 1;
+
+// Options that refer to items of this server's libraries, with a test for whether an item exists
+const LIBRARY_OPTIONS = {
+  referenceDoc: (id) => templates.has(id),
+  cssTheme: (id) => isStyleOfKind(id, 'css'),
+  htmlTemplate: (id) => isStyleOfKind(id, 'template'),
+  filters: (id) => filters.has(id)
+};
+
+// Leave out library items this server does not have, e.g. in a preset made on another machine.
+// Returns the remaining options and a warning for each item left out.
+const dropMissingLibraryItems = (options, presetName) => {
+  const kept = { ...options };
+  const warnings = [];
+
+  for (const [name, exists] of Object.entries(LIBRARY_OPTIONS)) {
+    const value = kept[name];
+    if (Array.isArray(value)) {
+      const missing = value.filter(id => typeof id === 'string' && !exists(id));
+      kept[name] = value.filter(id => !missing.includes(id));
+      missing.forEach(id => warnings.push(`${presetName}: left out ${OPTION_SCHEMA[name].label} "${id}", which is not on this server`));
+    } else if (typeof value === 'string' && value && !exists(value)) {
+      delete kept[name];
+      warnings.push(`${presetName}: left out ${OPTION_SCHEMA[name].label} "${value}", which is not on this server`);
+    }
+  }
+
+  return { options: kept, warnings };
+};
+
+// Validate the settings of a preset. Only options that differ from their defaults are kept,
+// so presets pick up new defaults and stay readable when exported.
+const validatePreset = async (preset, field = 'preset') => {
+  if (typeof preset !== 'object' || preset === null || Array.isArray(preset)) {
+    throw validationError(field, 'expected an object');
+  }
+
+  const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+  if (!name || name.length > MAX_PRESET_NAME) {
+    throw validationError(`${field}.name`, `expected a name of 1 to ${MAX_PRESET_NAME} characters`);
+  }
+
+  const fromFormat = await validateInputFormat(`${field}.fromFormat`, preset.fromFormat || '') || '';
+
+  const { toFormats } = preset;
+  if (!Array.isArray(toFormats) || toFormats.length === 0 || new Set(toFormats).size !== toFormats.length) {
+    throw validationError(`${field}.toFormats`, 'expected a non-empty list of distinct formats');
+  }
+  for (const [index, format] of toFormats.entries()) {
+    await validateFormat(`${field}.toFormats[${index}]`, format, 'output');
+  }
+
+  const groupBy = preset.groupBy || 'format';
+  if (!ZIP_GROUPINGS.includes(groupBy)) {
+    throw validationError(`${field}.groupBy`, `expected one of ${ZIP_GROUPINGS.join(', ')}`);
+  }
+
+  const normalized = normalizeOptions(preset.options || {}, toFormats);
+  const options = Object.fromEntries(Object.entries(normalized)
+    .filter(([option, value]) => !isDefaultValue(OPTION_SCHEMA[option], value)));
+
+  return { name, fromFormat, toFormats, groupBy, options };
+};
+
+// Read the presets of an exported presets file. An exported file holds { version, presets: [...] };
+// a bare preset or list is accepted too. The presets are returned as found, to be validated.
+const readPresetsFile = async (filePath, field = 'presets') => {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw validationError(field, 'not a JSON file');
+  }
+  if (typeof data !== 'object' || data === null) {
+    throw validationError(field, 'expected an exported presets file');
+  }
+  if (data.version !== undefined && data.version !== PRESET_FILE_VERSION) {
+    throw validationError(field, `unsupported presets file version ${data.version}`);
+  }
+
+  if (Array.isArray(data)) return data;
+  return Array.isArray(data.presets) ? data.presets : [data];
+};
+
+// Helper function to get output extension
+const getOutputExtension = (format) => {
+  const extensions = {
+    markdown: '.md',
+    html: '.html',
+    docx: '.docx',
+    odt: '.odt',
+    epub: '.epub',
+    pdf: '.pdf',
+    latex: '.tex',
+    rst: '.rst',
+    textile: '.textile',
+    org: '.org',
+    mediawiki: '.wiki',
+    rtf: '.rtf',
+    plain: '.txt',
+    json: '.json',
+    // Further writers the installed Pandoc may report
+    gfm: '.md',
+    commonmark: '.md',
+    commonmark_x: '.md',
+    markdown_strict: '.md',
+    markdown_mmd: '.md',
+    markdown_phpextra: '.md',
+    markdown_github: '.md',
+    html4: '.html',
+    html5: '.html',
+    revealjs: '.html',
+    slidy: '.html',
+    slideous: '.html',
+    dzslides: '.html',
+    s5: '.html',
+    chunkedhtml: '.zip',
+    pptx: '.pptx',
+    epub2: '.epub',
+    epub3: '.epub',
+    beamer: '.tex',
+    context: '.tex',
+    typst: '.typ',
+    asciidoc: '.adoc',
+    asciidoctor: '.adoc',
+    docbook: '.xml',
+    docbook4: '.xml',
+    docbook5: '.xml',
+    jats: '.xml',
+    jats_archiving: '.xml',
+    jats_articleauthoring: '.xml',
+    jats_publishing: '.xml',
+    tei: '.xml',
+    opendocument: '.xml',
+    icml: '.icml',
+    fb2: '.fb2',
+    ipynb: '.ipynb',
+    man: '.1',
+    ms: '.ms',
+    texinfo: '.texi',
+    opml: '.opml',
+    dokuwiki: '.txt',
+    zimwiki: '.txt',
+    jira: '.txt',
+    xwiki: '.txt',
+    haddock: '.txt',
+    muse: '.muse',
+    bibtex: '.bib',
+    biblatex: '.bib',
+    csljson: '.json',
+    native: '.hs'
+  };
+  return extensions[formatBase(format)] || '.txt';
+};
+
+// Convert files ({ originalname, path }) one after the other to a single output format,
+// each to outputPathFor(file, extension). Every file gets a report entry for the
+// batch manifest, including files that could not be converted.
+const convertBatch = async (files, fromFormats, toFormat, options, { submission, attachments = NO_ATTACHMENTS, outputPathFor }) => {
+  const conversions = [];
+
+  for (const [index, file] of files.entries()) {
+    const inputPath = file.path;
+    const fromFormat = await resolveInputFormat(inputPath, file.originalname, fromFormats[index]);
+    const outputPath = outputPathFor(file, getOutputExtension(toFormat));
+
+    // Timed from the start of the Pandoc run, not from the wait for a free process
+    let startedAt = null;
+    const onStart = () => {
+      startedAt = Date.now();
+    };
+    const timing = () => (startedAt ? Date.now() - startedAt : null);
+    const report = { name: file.originalname, format: toFormat, output: path.basename(outputPath) };
+
+    try {
+      const result = await convertFile(inputPath, outputPath, fromFormat, toFormat, options, { submission, attachments, onStart });
+      conversions.push({
+        original: file.originalname,
+        converted: path.basename(outputPath),
+        path: outputPath,
+        mediaDir: result.mediaDir,
+        media: result.media,
+        missingCitations: result.missingCitations,
+        success: true,
+        report: { ...report, status: 'done', error: null, warnings: result.warnings, missingCitations: result.missingCitations, duration: timing() }
+      });
+    } catch (error) {
+      const status = error.code === 'ECANCELLED' ? 'cancelled' : 'failed';
+      conversions.push({
+        original: file.originalname,
+        error: error.message,
+        success: false,
+        report: { ...report, status, error: error.message, warnings: [], missingCitations: [], duration: timing() }
+      });
+    }
+  }
+
+  return conversions;
+};
+
+// ZIP entries for the converted files of a batch, inside folder. Documents with
+// extracted images get a folder of their own holding the document and its media/.
+const batchEntries = (conversions, folder = '') => conversions
+  .filter(conv => conv.success && conv.path)
+  .flatMap(conv => documentEntries(conv.path, conv.converted, conv.media,
+    `${folder}${conv.media.length > 0 ? `${path.parse(conv.converted).name}/` : ''}`));
+
+module.exports = {
+  DATA_DIR, TEMPLATES_DIR, TEMPLATES_INDEX, STYLES_DIR, STYLES_INDEX, FILTERS_DIR, FILTERS_INDEX,
+  PRESETS_INDEX, BUILTIN_THEMES, NO_ATTACHMENTS, METADATA_FIELDS, PDF_ENGINES, MEDIA_INPUT_FORMATS,
+  pandocFeatures, availablePdfEngines, formatExtensions, formatBase, getFormatCatalog,
+  formatFromExtension, detectInputFormat, resolveInputFormat, validationError, OPTION_SCHEMA,
+  optionDefaults, optionValues, normalizeOptions, validateInputFormat, parseConversionRequest,
+  ZIP_GROUPINGS, parseAttachments, attachmentPaths, ABSOLUTE_REFERENCE, parseWarnings,
+  parseMissingCitations, readDocument, readDocumentMetadata, mergeDocuments, rebaseImages,
+  createSubmission, cancelSubmission, withPandocSlot, convertFile, runPandoc, runPandocOutput, createZip,
+  uniqueName, mediaDirFor, removeMedia, documentEntries, MANIFEST_NAME, REPORT_NAME, buildManifest,
+  reportEntries, loadIndex, saveIndex, templates, templatePath, styles, findStyle, stylePath,
+  filters, filterPath, PRESET_FILE_VERSION, dropMissingLibraryItems, validatePreset, readPresetsFile,
+  getOutputExtension, detectPandoc, pandocInfo, loadLibraries, convertBatch, batchEntries,
+  formatReport, setLogger, inspectDocument
+};
@@ -1,33 +1,233 @@
 // State management
 const state = {
+    // Where documents come from: uploaded files, pasted text, a URL or a project
+    inputMode: 'files',
+    // Limits on pasted text and URL input from /api/inputs
+    inputLimits: null,
     files: [],
+    // Detected and user-chosen input format per file, keyed by File
+    fileFormats: new Map(),
+    // Whether several files are joined into one document, what goes between them,
+    // and the position of the file being dragged in the file list
+    combine: false,
+    combineSeparator: 'none',
+    dragIndex: null,
+    // Uploaded project from /api/projects, and its documents chosen for conversion, in order
+    project: null,
+    projectEntries: [],
+    inputFormats: [],
+    // What the installed Pandoc supports, from /api/check-pandoc
+    capabilities: null,
+    // Accepted conversion options from /api/options
+    optionSchema: [],
     inputFormat: '',
     outputFormat: '',
-    options: {}
+    // Output formats supported by the server, further formats to convert to, and the ZIP layout
+    outputFormats: [],
+    moreFormats: [],
+    groupBy: 'format',
+    // Extensions switched on (true) or off (false) against each format's defaults
+    extensions: { input: {}, output: {} },
+    // Which format's extensions are listed, and the extensions of each format from the server
+    extensionsSide: null,
+    formatExtensions: {},
+    options: {},
+    // Lua filters in the library, in run order, and the ids chosen for conversions
+    filters: [],
+    selectedFilters: [],
+    // Whether the server lets the library be changed, and the admin key given for it
+    filterUploads: false,
+    filterAdminKey: '',
+    // Saved presets, and options of the applied preset that have no control in the form
+    presets: [],
+    presetExtras: {},
+    // Recent conversions from the server, newest first
+    history: [],
+    // Watched folders and their recent conversions from /api/watch, and the refresh timer
+    watch: null,
+    watchTimer: null,
+    // Inspection reports from /api/inspect (or { error }), keyed by File
+    inspections: new Map(),
+    // Reference document templates from the server
+    templates: [],
+    // Stylesheets (built-in and uploaded) and HTML templates from the server
+    styles: [],
+    // Bibliography and CSL files sent with the next conversion
+    bibliographyFiles: [],
+    cslFile: null,
+    // Header and footer include files sent with PDF conversions
+    includeInHeader: null,
+    includeAfterBody: null,
+    // YAML metadata file sent with every conversion
+    metadataFile: null,
+    // Job being converted and the upload request that submits it
+    currentJobId: null,
+    uploadController: null,
+    // Whether the preview pane is open, and the preview request in flight
+    previewing: false,
+    previewController: null,
+    previewTimer: null
 };
 
 // DOM elements
 const elements = {
+    inputTabs: document.querySelectorAll('.input-tab'),
+    filesInputPanel: document.getElementById('filesInputPanel'),
+    textInputPanel: document.getElementById('textInputPanel'),
+    textInput: document.getElementById('textInput'),
+    textNameInput: document.getElementById('textNameInput'),
+    urlInputPanel: document.getElementById('urlInputPanel'),
+    urlInput: document.getElementById('urlInput'),
+    urlHint: document.getElementById('urlHint'),
+    projectInputPanel: document.getElementById('projectInputPanel'),
+    projectFolderInput: document.getElementById('projectFolderInput'),
+    projectArchiveInput: document.getElementById('projectArchiveInput'),
+    projectStatus: document.getElementById('projectStatus'),
+    projectEntries: document.getElementById('projectEntries'),
     uploadArea: document.getElementById('uploadArea'),
     fileInput: document.getElementById('fileInput'),
     fileList: document.getElementById('fileList'),
+    combineOptions: document.getElementById('combineOptions'),
+    combineToggle: document.getElementById('combineToggle'),
+    combineSeparator: document.getElementById('combineSeparator'),
+    combineHint: document.getElementById('combineHint'),
     inputFormat: document.getElementById('inputFormat'),
     outputFormat: document.getElementById('outputFormat'),
     convertBtn: document.getElementById('convertBtn'),
     progressSection: document.getElementById('progressSection'),
     progressFill: document.getElementById('progressFill'),
     progressText: document.getElementById('progressText'),
+    jobStatus: document.getElementById('jobStatus'),
+    cancelBtn: document.getElementById('cancelBtn'),
     resultSection: document.getElementById('resultSection'),
+    resultIcon: document.getElementById('resultIcon'),
+    resultMessage: document.getElementById('resultMessage'),
+    resultTable: document.getElementById('resultTable'),
+    resultWarnings: document.getElementById('resultWarnings'),
+    downloadLink: document.getElementById('downloadLink'),
     errorSection: document.getElementById('errorSection'),
     errorMessage: document.getElementById('errorMessage'),
-    pandocStatus: document.getElementById('pandocStatus')
+    historyList: document.getElementById('historyList'),
+    inspectBtn: document.getElementById('inspectBtn'),
+    inspectStatus: document.getElementById('inspectStatus'),
+    inspectReports: document.getElementById('inspectReports'),
+    watchSection: document.getElementById('watchSection'),
+    watchFolders: document.getElementById('watchFolders'),
+    watchActivity: document.getElementById('watchActivity'),
+    pandocStatus: document.getElementById('pandocStatus'),
+    templatePanel: document.getElementById('templatePanel'),
+    templateSelect: document.getElementById('optTemplate'),
+    templateInput: document.getElementById('templateInput'),
+    templateDetails: document.getElementById('templateDetails'),
+    templateDetailsBtn: document.getElementById('templateDetailsBtn'),
+    templateDeleteBtn: document.getElementById('templateDeleteBtn'),
+    stylePanel: document.getElementById('stylePanel'),
+    cssThemeSelect: document.getElementById('optCssTheme'),
+    htmlTemplateGroup: document.getElementById('htmlTemplateGroup'),
+    htmlTemplateSelect: document.getElementById('optHtmlTemplate'),
+    styleInput: document.getElementById('styleInput'),
+    styleDeleteBtn: document.getElementById('styleDeleteBtn'),
+    htmlTemplateDeleteBtn: document.getElementById('htmlTemplateDeleteBtn'),
+    bibliographyPanel: document.getElementById('bibliographyPanel'),
+    bibliographyInput: document.getElementById('bibliographyInput'),
+    bibliographyList: document.getElementById('bibliographyList'),
+    bibliographyClearBtn: document.getElementById('bibliographyClearBtn'),
+    citationStyleSelect: document.getElementById('optCitationStyle'),
+    cslInput: document.getElementById('cslInput'),
+    cslName: document.getElementById('cslName'),
+    referencesPlacementSelect: document.getElementById('optReferencesPlacement'),
+    referencesTitleInput: document.getElementById('optReferencesTitle'),
+    previewToggleBtn: document.getElementById('previewToggleBtn'),
+    previewPanel: document.getElementById('previewPanel'),
+    previewSource: document.getElementById('previewSource'),
+    previewStatus: document.getElementById('previewStatus'),
+    previewText: document.getElementById('previewText'),
+    previewWarnings: document.getElementById('previewWarnings'),
+    previewFrame: document.getElementById('previewFrame'),
+    inputExtensionsBtn: document.getElementById('inputExtensionsBtn'),
+    outputExtensionsBtn: document.getElementById('outputExtensionsBtn'),
+    presetSelect: document.getElementById('presetSelect'),
+    presetSaveBtn: document.getElementById('presetSaveBtn'),
+    presetDeleteBtn: document.getElementById('presetDeleteBtn'),
+    presetExportBtn: document.getElementById('presetExportBtn'),
+    presetImportInput: document.getElementById('presetImportInput'),
+    presetStatus: document.getElementById('presetStatus'),
+    moreFormatsBtn: document.getElementById('moreFormatsBtn'),
+    moreFormatsPanel: document.getElementById('moreFormatsPanel'),
+    moreFormatsList: document.getElementById('moreFormatsList'),
+    groupBySelect: document.getElementById('groupBySelect'),
+    extensionsPanel: document.getElementById('extensionsPanel'),
+    extensionsTitle: document.getElementById('extensionsTitle'),
+    extensionsSpec: document.getElementById('extensionsSpec'),
+    extensionsList: document.getElementById('extensionsList'),
+    extensionsResetBtn: document.getElementById('extensionsResetBtn'),
+    extensionsCloseBtn: document.getElementById('extensionsCloseBtn'),
+    filterPanel: document.getElementById('filterPanel'),
+    filterList: document.getElementById('filterList'),
+    filterInput: document.getElementById('filterInput'),
+    filterUploadLabel: document.getElementById('filterUploadLabel'),
+    filterStatus: document.getElementById('filterStatus'),
+    pdfPanel: document.getElementById('pdfPanel'),
+    pdfEngineSelect: document.getElementById('optPdfEngine'),
+    pdfEngineHint: document.getElementById('pdfEngineHint'),
+    paperSizeSelect: document.getElementById('optPaperSize'),
+    marginInput: document.getElementById('optMargin'),
+    fontSizeSelect: document.getElementById('optFontSize'),
+    documentClassSelect: document.getElementById('optDocumentClass'),
+    mainFontInput: document.getElementById('optMainFont'),
+    monoFontInput: document.getElementById('optMonoFont'),
+    includeHeaderInput: document.getElementById('includeHeaderInput'),
+    includeFooterInput: document.getElementById('includeFooterInput'),
+    includeList: document.getElementById('includeList'),
+    includeClearBtn: document.getElementById('includeClearBtn'),
+    metadataInputs: {
+        title: document.getElementById('metaTitle'),
+        author: document.getElementById('metaAuthor'),
+        date: document.getElementById('metaDate'),
+        lang: document.getElementById('metaLang'),
+        subject: document.getElementById('metaSubject'),
+        keywords: document.getElementById('metaKeywords')
+    },
+    metadataReadBtn: document.getElementById('metadataReadBtn'),
+    metadataFileInput: document.getElementById('metadataFileInput'),
+    metadataStatus: document.getElementById('metadataStatus'),
+    metadataClearBtn: document.getElementById('metadataClearBtn')
+};
+
+// Delay between the last change and the preview refresh
+const PREVIEW_DELAY = 400;
+
+// Output formats styled by a reference document
+const REFERENCE_FORMATS = ['docx', 'odt', 'pptx'];
+// Output formats styled by a CSS stylesheet
+const STYLESHEET_FORMATS = ['html', 'epub'];
+// Metadata fields holding several values, with the separator used in the form
+const METADATA_LISTS = {
+    author: ';',
+    keywords: ','
+};
+// Include files accepted for the intermediate format of each PDF engine
+const INCLUDE_ACCEPT = {
+    latex: '.tex,.latex',
+    html: '.html,.htm',
+    typst: '.typ'
 };
 
 // Initialize app
 async function init() {
     await checkPandoc();
     await loadFormats();
+    await loadInputLimits();
+    await loadOptionSchema();
+    await loadTemplates();
+    await loadStyles();
+    await loadFilters();
+    await loadPresets();
+    await loadHistory();
+    await loadWatchStatus();
+    renderInspections();
     setupEventListeners();
+    renderExtensions();
     updateConvertButton();
 }
 
@@ -38,8 +238,10 @@ async function checkPandoc() {
         const data = await response.json();
 
         if (data.available) {
+            state.capabilities = data;
             elements.pandocStatus.textContent = `✓ ${data.version}`;
             elements.pandocStatus.style.background = 'rgba(39, 174, 96, 0.3)';
+            applyCapabilities();
         } else {
             elements.pandocStatus.textContent = '⚠ Pandoc not installed';
             elements.pandocStatus.style.background = 'rgba(231, 76, 60, 0.3)';
@@ -51,26 +253,196 @@ async function checkPandoc() {
     }
 }
 
+// Grey out options the installed Pandoc does not support
+function applyCapabilities() {
+    const { features } = state.capabilities;
+    const bibliography = document.getElementById('optBibliography');
+
+    if (!features.citeproc) {
+        bibliography.checked = false;
+        bibliography.disabled = true;
+        bibliography.closest('.option-item').classList.add('unsupported');
+        bibliography.closest('.option-item').title = `Requires Pandoc 2.11 or newer (installed: ${state.capabilities.versionNumber})`;
+    }
+
+    if (!features.luaFilters) {
+        elements.filterPanel.classList.add('unsupported');
+        elements.filterPanel.title = `Requires Pandoc 2.0 or newer (installed: ${state.capabilities.versionNumber})`;
+    }
+
+    // Offer the PDF engines found on the server
+    elements.pdfEngineSelect.innerHTML = state.capabilities.pdfEngines.map(engine => `
+        <option value="${engine.id}">${engine.label}</option>
+    `).join('');
+    elements.pdfEngineHint.textContent = state.capabilities.pdfEngines.length > 0
+        ? ''
+        : 'No PDF engine installed (pdflatex, xelatex, lualatex, wkhtmltopdf, weasyprint or typst)';
+}
+
+// Load the accepted conversion options, including which PDF engines each one works with
+async function loadOptionSchema() {
+    try {
+        const response = await fetch('/api/options');
+        const data = await response.json();
+        state.optionSchema = data.options;
+    } catch (error) {
+        console.error('Error loading options:', error);
+    }
+    renderPdfPanel();
+}
+
+// Load the limits on pasted text and URLs, and which hosts URLs may point to
+async function loadInputLimits() {
+    try {
+        const response = await fetch('/api/inputs');
+        state.inputLimits = await response.json();
+    } catch (error) {
+        console.error('Error loading input limits:', error);
+    }
+
+    const url = state.inputLimits && state.inputLimits.url;
+    if (url && url.enabled) {
+        elements.urlHint.textContent = `Web pages and raw files from ${url.allowedHosts.join(', ')} • Up to ${formatFileSize(url.maxSize)}`;
+    } else {
+        elements.urlHint.textContent = 'URL input is turned off on this server. Set URL_ALLOWED_HOSTS to allow hosts.';
+        elements.urlInput.disabled = true;
+    }
+}
+
+// Switch between uploaded files, pasted text, a URL and a project as the document source
+function setInputMode(mode) {
+    state.inputMode = mode;
+    elements.inputTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.input === mode));
+    elements.filesInputPanel.classList.toggle('hidden', mode !== 'files');
+    elements.textInputPanel.classList.toggle('hidden', mode !== 'text');
+    elements.urlInputPanel.classList.toggle('hidden', mode !== 'url');
+    elements.projectInputPanel.classList.toggle('hidden', mode !== 'project');
+    updateCombineOptions();
+    updateConvertButton();
+}
+
+// Whether the current input mode has something to convert
+function hasInput() {
+    if (state.inputMode === 'text') return elements.textInput.value.trim() !== '';
+    if (state.inputMode === 'url') return elements.urlInput.value.trim() !== '' && !elements.urlInput.disabled;
+    if (state.inputMode === 'project') return state.projectEntries.length > 0;
+    return state.files.length > 0;
+}
+
+// Number of documents the current input mode would convert
+function documentCount() {
+    if (state.inputMode === 'files') return state.files.length;
+    if (state.inputMode === 'project') return state.projectEntries.length;
+    return 1;
+}
+
+// Combining only makes sense for several files or project documents
+function updateCombineOptions() {
+    elements.combineOptions.classList.toggle('hidden', documentCount() < 2);
+    elements.combineHint.textContent = state.inputMode === 'project'
+        ? 'Documents are joined in the order they are ticked'
+        : 'Drag files to change their order';
+}
+
+// Upload a folder or ZIP archive as a project and list the documents in it
+async function uploadProject(formData) {
+    state.project = null;
+    state.projectEntries = [];
+    elements.projectStatus.textContent = 'Uploading project...';
+    renderProjectEntries();
+    updateConvertButton();
+
+    try {
+        const response = await fetch('/api/projects', { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        state.project = data;
+        // A project with a single document has nothing to choose from
+        state.projectEntries = data.documents.length === 1 ? [...data.documents] : [];
+        elements.projectStatus.textContent = `${data.name}: ${data.files.length} file(s), ${data.documents.length} document(s)`;
+    } catch (error) {
+        elements.projectStatus.textContent = 'Upload a folder or ZIP archive with your documents and the images they use';
+        showError(`Error uploading project: ${error.message}`);
+    }
+
+    renderProjectEntries();
+    updateConvertButton();
+}
+
+// Upload the files of a chosen folder with their paths inside it
+function uploadProjectFolder(files) {
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach(file => {
+        formData.append('files', file);
+    });
+    formData.append('paths', JSON.stringify(files.map(file => file.webkitRelativePath || file.name)));
+    formData.append('name', (files[0].webkitRelativePath || '').split('/')[0] || 'project');
+    uploadProject(formData);
+}
+
+// Upload a ZIP archive as a project
+function uploadProjectArchive(file) {
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('archive', file);
+    uploadProject(formData);
+}
+
+// List the documents of the project, with the position of each chosen one
+function renderProjectEntries() {
+    if (state.project && state.project.documents.length === 0) {
+        elements.projectEntries.innerHTML = '<p class="upload-hint">No documents Pandoc can read were found in this project.</p>';
+    } else {
+        const documents = state.project ? state.project.documents : [];
+        elements.projectEntries.innerHTML = documents.map((entry, index) => {
+            const position = state.projectEntries.indexOf(entry);
+            return `
+                <label class="file-item project-entry">
+                    <div class="file-name">
+                        <input type="checkbox" ${position >= 0 ? 'checked' : ''} onchange="toggleProjectEntry(${index})">
+                        <span>📄</span>
+                        <span>${escapeHtml(entry)}</span>
+                    </div>
+                    <span class="file-size">${position >= 0 ? `#${position + 1}` : ''}</span>
+                </label>
+            `;
+        }).join('');
+    }
+    updateCombineOptions();
+}
+
+// Choose or drop a project document; chosen documents are converted in the order they were ticked
+function toggleProjectEntry(index) {
+    const entry = state.project.documents[index];
+    state.projectEntries = state.projectEntries.includes(entry)
+        ? state.projectEntries.filter(chosen => chosen !== entry)
+        : [...state.projectEntries, entry];
+    renderProjectEntries();
+    updateConvertButton();
+}
+
 // Load available formats
 async function loadFormats() {
     try {
         const response = await fetch('/api/formats');
         const formats = await response.json();
+        state.inputFormats = formats.input;
+        state.outputFormats = formats.output;
 
         // Populate input format
         formats.input.forEach(format => {
-            const option = document.createElement('option');
-            option.value = format.value;
-            option.textContent = format.label;
-            elements.inputFormat.appendChild(option);
+            elements.inputFormat.appendChild(createFormatOption(format));
         });
 
         // Populate output format
         formats.output.forEach(format => {
-            const option = document.createElement('option');
-            option.value = format.value;
-            option.textContent = format.label;
-            elements.outputFormat.appendChild(option);
+            elements.outputFormat.appendChild(createFormatOption(format));
         });
 
         // Set default output format to HTML
@@ -82,8 +454,34 @@ async function loadFormats() {
     }
 }
 
+// Create a format option, greyed out when the installed Pandoc lacks it
+function createFormatOption(format) {
+    const option = document.createElement('option');
+    option.value = format.value;
+    option.textContent = format.supported ? format.label : `${format.label} (not supported)`;
+    option.disabled = !format.supported;
+    return option;
+}
+
 // Setup event listeners
 function setupEventListeners() {
+    // Input tabs
+    elements.inputTabs.forEach(tab => {
+        tab.addEventListener('click', () => setInputMode(tab.dataset.input));
+    });
+    elements.textInput.addEventListener('input', updateConvertButton);
+    elements.urlInput.addEventListener('input', updateConvertButton);
+
+    // Project folder and archive uploads
+    elements.projectFolderInput.addEventListener('change', (e) => {
+        uploadProjectFolder(Array.from(e.target.files));
+        e.target.value = '';
+    });
+    elements.projectArchiveInput.addEventListener('change', (e) => {
+        uploadProjectArchive(e.target.files[0]);
+        e.target.value = '';
+    });
+
     // Upload area click
     elements.uploadArea.addEventListener('click', () => {
         elements.fileInput.click();
@@ -110,26 +508,244 @@ function setupEventListeners() {
         handleFiles(Array.from(e.target.files));
     });
 
+    // Reorder files by dragging them within the file list
+    elements.fileList.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.file-item');
+        if (!item) return;
+        state.dragIndex = Number(item.dataset.index);
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    elements.fileList.addEventListener('dragover', (e) => {
+        const item = e.target.closest('.file-item');
+        if (state.dragIndex === null || !item) return;
+        e.preventDefault();
+        elements.fileList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+        item.classList.add('drop-target');
+    });
+    elements.fileList.addEventListener('drop', (e) => {
+        const item = e.target.closest('.file-item');
+        if (state.dragIndex === null || !item) return;
+        e.preventDefault();
+        moveFile(state.dragIndex, Number(item.dataset.index));
+    });
+    elements.fileList.addEventListener('dragend', () => {
+        state.dragIndex = null;
+        displayFiles();
+    });
+
+    // Combine mode
+    elements.combineToggle.addEventListener('change', (e) => {
+        state.combine = e.target.checked;
+        elements.combineSeparator.disabled = !state.combine;
+    });
+    elements.combineSeparator.addEventListener('change', (e) => {
+        state.combineSeparator = e.target.value;
+    });
+
     // Format selection
     elements.inputFormat.addEventListener('change', (e) => {
         state.inputFormat = e.target.value;
+        setFormatExtensions('input', {});
+        displayFiles();
         updateConvertButton();
+        schedulePreview();
     });
 
     elements.outputFormat.addEventListener('change', (e) => {
         state.outputFormat = e.target.value;
+        state.moreFormats = state.moreFormats.filter(format => format !== state.outputFormat);
+        setFormatExtensions('output', {});
+        renderMoreFormats();
+        renderTemplateOptions();
+        renderStyleOptions();
+        renderPdfPanel();
         updateConvertButton();
     });
 
+    // Presets
+    elements.presetSelect.addEventListener('change', () => {
+        const preset = state.presets.find(item => item.id === elements.presetSelect.value);
+        if (preset) {
+            applyPreset(preset);
+        } else {
+            // Back to the form alone: options only a preset could set are dropped
+            state.presetExtras = {};
+            elements.presetStatus.classList.add('hidden');
+        }
+        renderPresets();
+    });
+    elements.presetSaveBtn.addEventListener('click', savePreset);
+    elements.presetDeleteBtn.addEventListener('click', deletePreset);
+    elements.presetExportBtn.addEventListener('click', () => {
+        const id = elements.presetSelect.value;
+        window.location.href = id ? `/api/presets/${id}/export` : '/api/presets/export';
+    });
+    elements.presetImportInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importPresets(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    // Further output formats
+    elements.moreFormatsBtn.addEventListener('click', () => {
+        elements.moreFormatsPanel.classList.toggle('hidden');
+        renderMoreFormats();
+    });
+    elements.groupBySelect.addEventListener('change', (e) => {
+        state.groupBy = e.target.value;
+    });
+
+    // Format extensions
+    elements.inputExtensionsBtn.addEventListener('click', () => toggleExtensions('input'));
+    elements.outputExtensionsBtn.addEventListener('click', () => toggleExtensions('output'));
+    elements.extensionsResetBtn.addEventListener('click', () => setFormatExtensions(state.extensionsSide, {}));
+    elements.extensionsCloseBtn.addEventListener('click', () => toggleExtensions(state.extensionsSide));
+
+    // Lua filters
+    elements.filterInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            uploadFilter(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    // Reference templates
+    elements.templateSelect.addEventListener('change', () => {
+        elements.templateDetails.classList.add('hidden');
+        updateOptions();
+    });
+    elements.templateInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            uploadTemplate(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    elements.templateDetailsBtn.addEventListener('click', showTemplateDetails);
+    elements.templateDeleteBtn.addEventListener('click', deleteTemplate);
+
+    // Stylesheets and HTML templates
+    [elements.cssThemeSelect, elements.htmlTemplateSelect].forEach(select => {
+        select.addEventListener('change', () => {
+            renderStyleOptions();
+            updateOptions();
+            schedulePreview();
+        });
+    });
+    elements.styleInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            uploadStyle(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    elements.styleDeleteBtn.addEventListener('click', () => deleteStyle(elements.cssThemeSelect));
+    elements.htmlTemplateDeleteBtn.addEventListener('click', () => deleteStyle(elements.htmlTemplateSelect));
+
     // Options
     document.querySelectorAll('.option-checkbox').forEach(checkbox => {
         checkbox.addEventListener('change', () => {
             updateOptions();
+            renderBibliographyPanel();
+            schedulePreview();
+        });
+    });
+
+    // Bibliography and citation style
+    elements.bibliographyInput.addEventListener('change', (e) => {
+        state.bibliographyFiles = [...state.bibliographyFiles, ...Array.from(e.target.files)];
+        e.target.value = '';
+        renderBibliographyPanel();
+        schedulePreview();
+    });
+    elements.bibliographyClearBtn.addEventListener('click', () => {
+        state.bibliographyFiles = [];
+        state.cslFile = null;
+        renderBibliographyPanel();
+        schedulePreview();
+    });
+    elements.cslInput.addEventListener('change', (e) => {
+        state.cslFile = e.target.files[0] || null;
+        e.target.value = '';
+        renderBibliographyPanel();
+        schedulePreview();
+    });
+    [elements.citationStyleSelect, elements.referencesPlacementSelect, elements.referencesTitleInput].forEach(input => {
+        input.addEventListener('change', () => {
+            updateOptions();
+            renderBibliographyPanel();
+            schedulePreview();
+        });
+    });
+
+    // PDF engine and layout
+    elements.pdfEngineSelect.addEventListener('change', () => {
+        // Includes written for another intermediate format no longer apply
+        state.includeInHeader = null;
+        state.includeAfterBody = null;
+        renderPdfPanel();
+        updateOptions();
+    });
+    [elements.paperSizeSelect, elements.marginInput, elements.fontSizeSelect, elements.documentClassSelect,
+        elements.mainFontInput, elements.monoFontInput].forEach(input => {
+        input.addEventListener('change', updateOptions);
+    });
+    elements.includeHeaderInput.addEventListener('change', (e) => {
+        state.includeInHeader = e.target.files[0] || null;
+        e.target.value = '';
+        renderPdfPanel();
+    });
+    elements.includeFooterInput.addEventListener('change', (e) => {
+        state.includeAfterBody = e.target.files[0] || null;
+        e.target.value = '';
+        renderPdfPanel();
+    });
+    elements.includeClearBtn.addEventListener('click', () => {
+        state.includeInHeader = null;
+        state.includeAfterBody = null;
+        renderPdfPanel();
+    });
+
+    // Document metadata
+    Object.values(elements.metadataInputs).forEach(input => {
+        input.addEventListener('change', schedulePreview);
+    });
+    elements.metadataReadBtn.addEventListener('click', () => {
+        if (state.files.length > 0) {
+            readDocumentMetadata(state.files[0]);
+        }
+    });
+    elements.metadataFileInput.addEventListener('change', (e) => {
+        state.metadataFile = e.target.files[0] || null;
+        e.target.value = '';
+        renderMetadataStatus();
+        schedulePreview();
+    });
+    elements.metadataClearBtn.addEventListener('click', () => {
+        Object.values(elements.metadataInputs).forEach(input => {
+            input.value = '';
         });
+        state.metadataFile = null;
+        renderMetadataStatus();
+        schedulePreview();
+    });
+
+    // Preview pane
+    elements.previewToggleBtn.addEventListener('click', togglePreview);
+    elements.previewSource.addEventListener('change', () => {
+        elements.previewText.classList.toggle('hidden', elements.previewSource.value !== 'text');
+        schedulePreview();
     });
+    elements.previewText.addEventListener('input', schedulePreview);
+
+    // Inspect section
+    elements.inspectBtn.addEventListener('click', inspectFiles);
 
     // Convert button
     elements.convertBtn.addEventListener('click', convertFiles);
+
+    // Cancel button
+    elements.cancelBtn.addEventListener('click', cancelConversion);
 }
 
 // Handle file selection
@@ -137,22 +753,295 @@ function handleFiles(files) {
     state.files = [...state.files, ...files];
     displayFiles();
     updateConvertButton();
+    renderPreviewSources();
+    detectFormats(files);
+
+    // Start from the metadata of the first document unless the form is already filled in
+    if (files.length > 0 && Object.keys(collectMetadata()).length === 0) {
+        readDocumentMetadata(state.files[0]);
+    }
+}
+
+// Bytes of a file the server reads to detect its format (SNIFF_BYTES in lib/pipeline.js)
+const SNIFF_BYTES = 64 * 1024;
+
+// Ask the server to detect the input format of new files. Only the start of each file is
+// sent, under the file's name, as that is all detection looks at.
+async function detectFormats(files) {
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach(file => {
+        formData.append('files', file.slice(0, SNIFF_BYTES), file.name);
+    });
+
+    try {
+        const response = await fetch('/api/detect-format', {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            throw new Error('Format detection failed');
+        }
+
+        const data = await response.json();
+        data.files.forEach((result, index) => {
+            const entry = state.fileFormats.get(files[index]) || {};
+            state.fileFormats.set(files[index], { ...entry, detected: result.format, source: result.source });
+        });
+    } catch (error) {
+        console.error('Error detecting formats:', error);
+    }
+
+    displayFiles();
+}
+
+// Fill the metadata form from the metadata already in a document
+async function readDocumentMetadata(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('fromFormat', getFileFormat(file));
+    elements.metadataStatus.textContent = `Reading ${file.name}...`;
+
+    try {
+        const response = await fetch('/api/metadata', {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Could not read metadata');
+        }
+
+        Object.entries(elements.metadataInputs).forEach(([field, input]) => {
+            const value = data.metadata[field];
+            if (value === undefined || value === null) return;
+            input.value = Array.isArray(value) ? value.join(`${METADATA_LISTS[field] || ','} `) : String(value);
+        });
+    } catch (error) {
+        console.error('Error reading metadata:', error);
+    }
+    renderMetadataStatus();
+    schedulePreview();
+}
+
+// Collect the filled-in metadata fields, splitting the list fields
+function collectMetadata() {
+    const metadata = {};
+    Object.entries(elements.metadataInputs).forEach(([field, input]) => {
+        const value = input.value.trim();
+        if (!value) return;
+        metadata[field] = METADATA_LISTS[field]
+            ? value.split(METADATA_LISTS[field]).map(item => item.trim()).filter(Boolean)
+            : value;
+    });
+    return metadata;
+}
+
+// Show the attached YAML metadata file
+function renderMetadataStatus() {
+    elements.metadataStatus.textContent = state.metadataFile ? `Using ${state.metadataFile.name}` : '';
+}
+
+// Get the input format to use for a file
+function getFileFormat(file) {
+    const entry = state.fileFormats.get(file) || {};
+    return entry.override || inputFormatSpec() || entry.detected || '';
+}
+
+// A format with its extension changes appended, e.g. markdown+pipe_tables-smart
+function formatSpec(format, changes) {
+    if (!format) return '';
+    return format + Object.entries(changes)
+        .map(([name, enabled]) => `${enabled ? '+' : '-'}${name}`)
+        .join('');
+}
+
+// Input format chosen for all files, with its extension changes
+function inputFormatSpec() {
+    return formatSpec(state.inputFormat, state.extensions.input);
+}
+
+// Output format with its extension changes
+function outputFormatSpec() {
+    return formatSpec(state.outputFormat, state.extensions.output);
+}
+
+// Base output formats of the conversion: the chosen one followed by any further formats
+function selectedOutputFormats() {
+    return [state.outputFormat, ...state.moreFormats].filter(Boolean);
+}
+
+// Whether any of the selected output formats is in a list
+function outputIncludes(formats) {
+    return selectedOutputFormats().some(format => formats.includes(format));
+}
+
+// Add or drop a further output format
+function toggleMoreFormat(format, selected) {
+    state.moreFormats = state.moreFormats.filter(item => item !== format);
+    if (selected) {
+        state.moreFormats.push(format);
+    }
+    renderMoreFormats();
+    renderTemplateOptions();
+    renderStyleOptions();
+    renderPdfPanel();
+}
+
+// List the other supported output formats as checkboxes
+function renderMoreFormats() {
+    const count = state.moreFormats.length;
+    elements.moreFormatsBtn.textContent = count > 0 ? `+ ${count}` : '+';
+    elements.moreFormatsBtn.classList.toggle('active', !elements.moreFormatsPanel.classList.contains('hidden'));
+    elements.groupBySelect.disabled = count === 0;
+
+    elements.moreFormatsList.innerHTML = state.outputFormats
+        .filter(format => format.supported && format.value !== state.outputFormat)
+        .map(format => `
+            <label class="${state.moreFormats.includes(format.value) ? 'changed' : ''}">
+                <input type="checkbox" ${state.moreFormats.includes(format.value) ? 'checked' : ''} onchange="toggleMoreFormat('${format.value}', this.checked)">
+                ${escapeHtml(format.label)}
+            </label>
+        `).join('');
+}
+
+// Split a format spec such as markdown+pipe_tables-smart into the format and its extension changes
+function parseFormatSpec(spec) {
+    const [format, ...modifiers] = (spec || '').split(/(?=[+-])/);
+    const changes = Object.fromEntries(modifiers.map(modifier => [modifier.slice(1), modifier[0] === '+']));
+    return { format, changes };
+}
+
+// Replace the extension changes of the input or output format
+function setFormatExtensions(side, changes) {
+    state.extensions[side] = changes;
+    renderExtensions();
+    schedulePreview();
+}
+
+// Open or close the extension list of the input or output format
+async function toggleExtensions(side) {
+    state.extensionsSide = state.extensionsSide === side ? null : side;
+    renderExtensions();
+
+    const format = side === 'input' ? state.inputFormat : state.outputFormat;
+    if (state.extensionsSide && !state.formatExtensions[format]) {
+        try {
+            const response = await fetch(`/api/extensions/${encodeURIComponent(format)}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not load extensions');
+            }
+            state.formatExtensions[format] = data.extensions;
+        } catch (error) {
+            showError(error.message);
+            state.extensionsSide = null;
+        }
+        renderExtensions();
+    }
+}
+
+// Toggle one extension of the listed format, dropping the change when it matches the default
+function toggleExtension(name, enabled) {
+    const side = state.extensionsSide;
+    const format = side === 'input' ? state.inputFormat : state.outputFormat;
+    const extension = (state.formatExtensions[format] || []).find(item => item.name === name);
+    const changes = { ...state.extensions[side] };
+
+    if (extension && extension.enabled === enabled) {
+        delete changes[name];
+    } else {
+        changes[name] = enabled;
+    }
+    setFormatExtensions(side, changes);
+}
+
+// Show the extension buttons and the checkbox list of the open format
+function renderExtensions() {
+    const buttons = { input: elements.inputExtensionsBtn, output: elements.outputExtensionsBtn };
+    const formats = { input: state.inputFormat, output: state.outputFormat };
+
+    Object.entries(buttons).forEach(([side, button]) => {
+        const changed = Object.keys(state.extensions[side]).length;
+        button.disabled = !formats[side] || formats[side] === 'pdf';
+        button.textContent = changed > 0 ? `± ${changed}` : '±';
+        button.classList.toggle('active', state.extensionsSide === side);
+    });
+
+    const side = state.extensionsSide;
+    if (!side || buttons[side].disabled) {
+        state.extensionsSide = null;
+        elements.extensionsPanel.classList.add('hidden');
+        return;
+    }
+
+    const format = formats[side];
+    const changes = state.extensions[side];
+    elements.extensionsPanel.classList.remove('hidden');
+    elements.extensionsTitle.textContent = `${side === 'input' ? 'Reader' : 'Writer'} extensions`;
+    elements.extensionsSpec.textContent = formatSpec(format, changes);
+    elements.extensionsList.innerHTML = (state.formatExtensions[format] || []).map(extension => {
+        const enabled = extension.name in changes ? changes[extension.name] : extension.enabled;
+        return `
+            <label class="${extension.name in changes ? 'changed' : ''}">
+                <input type="checkbox" ${enabled ? 'checked' : ''} onchange="toggleExtension('${extension.name}', this.checked)">
+                ${escapeHtml(extension.name)}
+            </label>
+        `;
+    }).join('') || 'Loading...';
+}
+
+// Override the detected input format of a file
+function setFileFormat(index, format) {
+    const file = state.files[index];
+    const entry = state.fileFormats.get(file) || {};
+    state.fileFormats.set(file, { ...entry, override: format });
+    schedulePreview();
+}
+
+// Build the per-file input format selector
+function renderFormatSelect(file, index) {
+    const entry = state.fileFormats.get(file) || {};
+    const selected = entry.override || state.inputFormat;
+    const detected = state.inputFormats.find(format => format.value === entry.detected);
+    const autoLabel = entry.detected ? `Auto (${detected ? detected.label : entry.detected})` : 'Detecting...';
+
+    const options = state.inputFormats.map(format => `
+        <option value="${format.value}" ${format.value === selected ? 'selected' : ''} ${format.supported ? '' : 'disabled'}>${format.label}</option>
+    `).join('');
+
+    return `
+        <select class="file-format" title="Input format" onchange="setFileFormat(${index}, this.value)">
+            <option value="" ${selected ? '' : 'selected'}>${autoLabel}</option>
+            ${options}
+        </select>
+    `;
 }
 
 // Display selected files
 function displayFiles() {
+    // Combining and reordering only make sense for several files
+    const several = state.files.length > 1;
+    updateCombineOptions();
+    renderInspections();
+
     if (state.files.length === 0) {
         elements.fileList.innerHTML = '';
         return;
     }
 
     elements.fileList.innerHTML = state.files.map((file, index) => `
-        <div class="file-item">
+        <div class="file-item ${several ? 'draggable' : ''}" data-index="${index}" draggable="${several}">
             <div class="file-name">
+                ${several ? '<span class="drag-handle" title="Drag to reorder">⋮⋮</span>' : ''}
                 <span>📄</span>
                 <span>${file.name}</span>
             </div>
             <div style="display: flex; align-items: center; gap: 15px;">
+                ${renderFormatSelect(file, index)}
                 <span class="file-size">${formatFileSize(file.size)}</span>
                 <button class="file-remove" onclick="removeFile(${index})">Remove</button>
             </div>
@@ -160,19 +1049,34 @@ function displayFiles() {
     `).join('');
 }
 
+// Move a file to another position in the file list
+function moveFile(from, to) {
+    if (from === to) return;
+    const [file] = state.files.splice(from, 1);
+    state.files.splice(to, 0, file);
+    displayFiles();
+    renderPreviewSources();
+}
+
 // Remove file
 function removeFile(index) {
-    state.files.splice(index, 1);
+    const [removed] = state.files.splice(index, 1);
+    state.fileFormats.delete(removed);
+    state.inspections.delete(removed);
     displayFiles();
     updateConvertButton();
+    renderPreviewSources();
 }
 
 // Clear all files
 function clearFiles() {
     state.files = [];
+    state.fileFormats.clear();
+    state.inspections.clear();
     elements.fileInput.value = '';
     displayFiles();
     updateConvertButton();
+    renderPreviewSources();
 }
 
 // Format file size
@@ -187,149 +1091,1259 @@ function formatFileSize(bytes) {
 // Update options state
 function updateOptions() {
     state.options = {
+        ...state.presetExtras,
         toc: document.getElementById('optToc').checked,
         numberSections: document.getElementById('optNumberSections').checked,
         bibliography: document.getElementById('optBibliography').checked,
-        css: document.getElementById('optCss').checked
+        css: document.getElementById('optCss').checked,
+        referenceDoc: outputIncludes(REFERENCE_FORMATS) ? elements.templateSelect.value : '',
+        cssTheme: elements.cssThemeSelect.value || 'github',
+        htmlTemplate: outputIncludes(['html']) ? elements.htmlTemplateSelect.value : '',
+        citationStyle: elements.citationStyleSelect.value,
+        referencesPlacement: elements.referencesPlacementSelect.value,
+        referencesTitle: elements.referencesTitleInput.value.trim() || 'References',
+        filters: state.selectedFilters,
+        ...pdfOptions()
     };
 }
 
-// Update convert button state
-function updateConvertButton() {
-    const canConvert = state.files.length > 0 && state.outputFormat;
-    elements.convertBtn.disabled = !canConvert;
-}
+// PDF engine and layout options, left at their defaults where the chosen engine does not support them
+function pdfOptions() {
+    const engine = elements.pdfEngineSelect.value;
+    if (!outputIncludes(['pdf']) || !engine) return {};
 
-// Toggle section
-function toggleSection(sectionId) {
-    const section = document.getElementById(sectionId);
-    const title = section.previousElementSibling;
+    const values = {
+        pdfEngine: engine,
+        paperSize: elements.paperSizeSelect.value,
+        margin: elements.marginInput.value.trim() || '1in',
+        fontSize: elements.fontSizeSelect.value,
+        documentClass: elements.documentClassSelect.value,
+        mainFont: elements.mainFontInput.value.trim(),
+        monoFont: elements.monoFontInput.value.trim()
+    };
 
-    section.classList.toggle('collapsed');
-    title.querySelector('.toggle-icon').style.transform =
-        section.classList.contains('collapsed') ? 'rotate(-90deg)' : 'rotate(0deg)';
+    state.optionSchema.forEach(option => {
+        if (option.name in values && option.engines && !option.engines.includes(engine)) {
+            values[option.name] = option.default;
+        }
+    });
+    return values;
 }
 
-// Convert files
-async function convertFiles() {
-    hideMessages();
-    updateOptions();
+// Show the PDF panel for PDF output and grey out settings the chosen engine ignores
+function renderPdfPanel() {
+    elements.pdfPanel.classList.toggle('hidden', !outputIncludes(['pdf']));
 
-    // Show progress
-    elements.progressSection.classList.remove('hidden');
-    elements.progressFill.style.width = '50%';
-    elements.convertBtn.disabled = true;
+    const engineId = elements.pdfEngineSelect.value;
+    const engine = ((state.capabilities && state.capabilities.pdfEngines) || []).find(item => item.id === engineId);
 
-    try {
-        if (state.files.length === 1) {
-            await convertSingleFile();
-        } else {
-            await convertBatchFiles();
-        }
+    elements.pdfPanel.querySelectorAll('.option-field').forEach(item => {
+        const option = state.optionSchema.find(entry => entry.name === item.dataset.option);
+        const supported = !option || !option.engines || option.engines.includes(engineId);
+        item.classList.toggle('unsupported', !supported);
+        item.querySelector('input, select').disabled = !supported;
+        item.title = supported || !engine ? '' : `Not supported by ${engine.label}`;
+    });
 
-        // Show success
-        elements.progressSection.classList.add('hidden');
-        elements.resultSection.classList.remove('hidden');
+    const accept = engine ? INCLUDE_ACCEPT[engine.writer] : '';
+    elements.includeHeaderInput.accept = accept;
+    elements.includeFooterInput.accept = accept;
 
-        // Auto-hide success message after 5 seconds
-        setTimeout(() => {
-            elements.resultSection.classList.add('hidden');
-        }, 5000);
+    const includes = [
+        state.includeInHeader && `Header: ${state.includeInHeader.name}`,
+        state.includeAfterBody && `Footer: ${state.includeAfterBody.name}`
+    ].filter(Boolean);
+    elements.includeList.textContent = includes.length > 0
+        ? includes.join(', ')
+        : `No includes${accept ? ` (${accept.split(',').join(' or ')} files)` : ''}`;
+}
 
-    } catch (error) {
-        console.error('Conversion error:', error);
-        elements.progressSection.classList.add('hidden');
-        showError(error.message || 'Conversion failed. Please try again.');
-    } finally {
-        elements.convertBtn.disabled = false;
-        elements.progressFill.style.width = '0%';
+// Show the bibliography panel while citation processing is enabled
+function renderBibliographyPanel() {
+    const enabled = document.getElementById('optBibliography').checked;
+    elements.bibliographyPanel.classList.toggle('hidden', !enabled);
+
+    elements.bibliographyList.textContent = state.bibliographyFiles.length > 0
+        ? state.bibliographyFiles.map(file => file.name).join(', ')
+        : 'No files attached';
+    elements.cslName.textContent = state.cslFile ? `Using ${state.cslFile.name}` : '';
+    elements.citationStyleSelect.disabled = Boolean(state.cslFile);
+    elements.referencesTitleInput.classList.toggle('hidden', elements.referencesPlacementSelect.value !== 'section');
+}
+
+// Open or close the side-by-side preview pane
+function togglePreview() {
+    state.previewing = !state.previewing;
+    document.querySelector('.container').classList.toggle('previewing', state.previewing);
+    elements.previewPanel.classList.toggle('hidden', !state.previewing);
+    elements.previewToggleBtn.classList.toggle('active', state.previewing);
+
+    if (state.previewing) {
+        renderPreviewSources();
+    } else if (state.previewController) {
+        state.previewController.abort();
     }
 }
 
-// Convert single file
-async function convertSingleFile() {
-    const formData = new FormData();
-    formData.append('file', state.files[0]);
-    formData.append('fromFormat', state.inputFormat || 'markdown');
-    formData.append('toFormat', state.outputFormat);
-    formData.append('options', JSON.stringify(state.options));
+// List the selected files and pasted text as preview sources
+function renderPreviewSources() {
+    const selected = elements.previewSource.value;
 
-    const response = await fetch('/api/convert', {
-        method: 'POST',
-        body: formData
-    });
+    elements.previewSource.innerHTML = state.files.map((file, index) => `
+        <option value="${index}">${escapeHtml(file.name)}</option>
+    `).join('') + '<option value="text">Pasted text</option>';
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Conversion failed');
+    // Stay on the current source while it exists; prefer the first file over empty pasted text
+    const keep = selected === 'text'
+        ? elements.previewText.value.trim() !== ''
+        : Number(selected) < state.files.length;
+    elements.previewSource.value = keep ? selected : (state.files.length > 0 ? '0' : 'text');
+    elements.previewText.classList.toggle('hidden', elements.previewSource.value !== 'text');
+    schedulePreview();
+}
+
+// Refresh the preview shortly after the last change
+function schedulePreview() {
+    if (!state.previewing) return;
+
+    clearTimeout(state.previewTimer);
+    state.previewTimer = setTimeout(refreshPreview, PREVIEW_DELAY);
+}
+
+// Render the preview source through Pandoc and show it in the preview frame
+async function refreshPreview() {
+    if (state.previewController) {
+        state.previewController.abort();
+    }
+
+    updateOptions();
+    const formData = new FormData();
+    const source = elements.previewSource.value;
+
+    if (source === 'text') {
+        if (!elements.previewText.value.trim()) {
+            elements.previewStatus.textContent = '';
+            elements.previewWarnings.classList.add('hidden');
+            elements.previewFrame.srcdoc = '';
+            return;
+        }
+        formData.append('text', elements.previewText.value);
+        formData.append('fromFormat', inputFormatSpec());
+    } else {
+        const file = state.files[source];
+        formData.append('file', file);
+        formData.append('fromFormat', getFileFormat(file));
+    }
+    formData.append('options', JSON.stringify(state.options));
+    formData.append('metadata', JSON.stringify(collectMetadata()));
+    if (state.metadataFile) {
+        formData.append('metadataFile', state.metadataFile);
+    }
+
+    if (state.options.bibliography) {
+        state.bibliographyFiles.forEach(file => {
+            formData.append('bibliography', file);
+        });
+        if (state.cslFile) {
+            formData.append('csl', state.cslFile);
+        }
     }
 
-    // Download file
-    const blob = await response.blob();
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = getOutputFilename(state.files[0].name);
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    document.body.removeChild(a);
+    const controller = new AbortController();
+    state.previewController = controller;
+    elements.previewStatus.textContent = 'Rendering...';
+
+    try {
+        const response = await fetch('/api/preview', {
+            method: 'POST',
+            body: formData,
+            signal: controller.signal
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Preview failed');
+        }
+
+        renderPreview(data);
+        elements.previewStatus.textContent = `Rendered from ${data.fromFormat}`;
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        elements.previewStatus.textContent = `⚠ ${error.message}`;
+    } finally {
+        if (state.previewController === controller) {
+            state.previewController = null;
+        }
+    }
+}
+
+// Show a sanitized HTML fragment in the sandboxed preview frame with the chosen stylesheet
+function renderPreview(data) {
+    const theme = encodeURIComponent(state.options.cssTheme || 'github');
+
+    elements.previewFrame.srcdoc = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<link rel="stylesheet" href="${location.origin}/api/styles/${theme}">
+</head>
+<body>${data.html}</body>
+</html>`;
+
+    elements.previewWarnings.textContent = data.missingCitations.length > 0
+        ? `⚠ Unresolved citations: ${data.missingCitations.join(', ')}`
+        : '';
+    elements.previewWarnings.classList.toggle('hidden', data.missingCitations.length === 0);
 }
 
-// Convert batch files
-async function convertBatchFiles() {
+// Load built-in themes, uploaded stylesheets and HTML templates
+async function loadStyles() {
+    try {
+        const response = await fetch('/api/styles');
+        const data = await response.json();
+        state.styles = data.styles;
+    } catch (error) {
+        console.error('Error loading styles:', error);
+    }
+    renderStyleOptions();
+}
+
+// Show the stylesheet and HTML template pickers for HTML and EPUB output
+function renderStyleOptions() {
+    const applies = outputIncludes(STYLESHEET_FORMATS);
+    elements.stylePanel.classList.toggle('hidden', !applies);
+    elements.htmlTemplateGroup.classList.toggle('hidden', !outputIncludes(['html']));
+
+    const selectedTheme = elements.cssThemeSelect.value || 'github';
+    const selectedTemplate = elements.htmlTemplateSelect.value;
+    const renderOption = (style, selected) => `
+        <option value="${style.id}" ${style.id === selected ? 'selected' : ''}>${escapeHtml(style.name)}${style.builtIn ? ' (built-in)' : ''}</option>
+    `;
+
+    elements.cssThemeSelect.innerHTML = state.styles
+        .filter(style => style.kind === 'css')
+        .map(style => renderOption(style, selectedTheme))
+        .join('');
+    elements.htmlTemplateSelect.innerHTML = '<option value="">Pandoc default</option>' + state.styles
+        .filter(style => style.kind === 'template')
+        .map(style => renderOption(style, selectedTemplate))
+        .join('');
+
+    const theme = state.styles.find(style => style.id === elements.cssThemeSelect.value);
+    elements.styleDeleteBtn.disabled = !theme || theme.builtIn;
+    elements.htmlTemplateDeleteBtn.disabled = !elements.htmlTemplateSelect.value;
+}
+
+// Upload a stylesheet or HTML template to the style library
+async function uploadStyle(file) {
     const formData = new FormData();
+    formData.append('style', file);
 
-    state.files.forEach(file => {
-        formData.append('files', file);
+    try {
+        const response = await fetch('/api/styles', {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        state.styles.push(data);
+        renderStyleOptions();
+        const select = data.kind === 'css' ? elements.cssThemeSelect : elements.htmlTemplateSelect;
+        select.value = data.id;
+        renderStyleOptions();
+        updateOptions();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Remove the stylesheet or template chosen in a picker
+async function deleteStyle(select) {
+    const id = select.value;
+    if (!id || !confirm('Delete this file from the style library?')) return;
+
+    try {
+        const response = await fetch(`/api/styles/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Could not delete');
+        }
+
+        state.styles = state.styles.filter(style => style.id !== id);
+        select.value = '';
+        renderStyleOptions();
+        updateOptions();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Load the Lua filter library
+async function loadFilters() {
+    try {
+        const response = await fetch('/api/filters');
+        const data = await response.json();
+        state.filters = data.filters;
+        state.filterUploads = data.uploads;
+    } catch (error) {
+        console.error('Error loading filters:', error);
+    }
+    elements.filterUploadLabel.classList.toggle('hidden', !state.filterUploads);
+    renderFilters();
+}
+
+// List the filters in run order with their selection and ordering controls
+function renderFilters() {
+    elements.filterList.innerHTML = state.filters.map((filter, index) => `
+        <li class="filter-item">
+            <label title="${escapeHtml(filter.description || filter.originalName)}">
+                <input type="checkbox" ${state.selectedFilters.includes(filter.id) ? 'checked' : ''} onchange="selectFilter('${filter.id}', this.checked)">
+                ${escapeHtml(filter.name)}
+            </label>
+            <button type="button" class="small-btn" title="Run earlier" onclick="moveFilter(${index}, -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="small-btn" title="Run later" onclick="moveFilter(${index}, 1)" ${index === state.filters.length - 1 ? 'disabled' : ''}>↓</button>
+            ${state.filterUploads ? `<button type="button" class="small-btn danger" onclick="deleteFilter('${filter.id}')">Delete</button>` : ''}
+        </li>
+    `).join('');
+
+    const count = state.selectedFilters.length;
+    if (state.filters.length > 0) {
+        elements.filterStatus.textContent = `${count} of ${state.filters.length} selected`;
+    } else {
+        elements.filterStatus.textContent = state.filterUploads ? 'No filters uploaded' : 'No filters installed on this server';
+    }
+}
+
+// Keep the chosen filter ids in the order of the list
+function syncSelectedFilters(selected) {
+    state.selectedFilters = state.filters.map(filter => filter.id).filter(id => selected.includes(id));
+    renderFilters();
+    updateOptions();
+    schedulePreview();
+}
+
+// Choose or drop a filter for conversions
+function selectFilter(id, selected) {
+    const ids = state.selectedFilters.filter(item => item !== id);
+    syncSelectedFilters(selected ? [...ids, id] : ids);
+}
+
+// Move a filter earlier or later in the run order
+function moveFilter(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= state.filters.length) return;
+
+    const [filter] = state.filters.splice(index, 1);
+    state.filters.splice(target, 0, filter);
+    syncSelectedFilters(state.selectedFilters);
+}
+
+// Headers proving the admin key the filter library is changed with, asked for once per page
+function filterAdminHeaders() {
+    if (!state.filterAdminKey) {
+        state.filterAdminKey = prompt('Filters run with the server\'s permissions. Admin key:') || '';
+    }
+    return { 'X-Admin-Key': state.filterAdminKey };
+}
+
+// Forget a rejected admin key so the next change asks again
+function checkFilterAdmin(response) {
+    if (response.status === 401) {
+        state.filterAdminKey = '';
+    }
+}
+
+// Upload a Lua filter to the filter library and select it
+async function uploadFilter(file) {
+    const formData = new FormData();
+    formData.append('filter', file);
+
+    try {
+        const response = await fetch('/api/filters', {
+            method: 'POST',
+            headers: filterAdminHeaders(),
+            body: formData
+        });
+        checkFilterAdmin(response);
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Filter upload failed');
+        }
+
+        state.filters.push(data);
+        syncSelectedFilters([...state.selectedFilters, data.id]);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Remove a filter from the library
+async function deleteFilter(id) {
+    if (!confirm('Delete this filter?')) return;
+
+    try {
+        const response = await fetch(`/api/filters/${id}`, { method: 'DELETE', headers: filterAdminHeaders() });
+        checkFilterAdmin(response);
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Could not delete filter');
+        }
+
+        state.filters = state.filters.filter(filter => filter.id !== id);
+        syncSelectedFilters(state.selectedFilters.filter(item => item !== id));
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Load the saved presets
+async function loadPresets() {
+    try {
+        const response = await fetch('/api/presets');
+        const data = await response.json();
+        state.presets = data.presets;
+    } catch (error) {
+        console.error('Error loading presets:', error);
+    }
+    renderPresets();
+}
+
+// Fill the preset picker, keeping the current choice unless another is given
+function renderPresets(selected = elements.presetSelect.value) {
+    elements.presetSelect.innerHTML = '<option value="">No preset</option>' + state.presets
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(preset => `
+            <option value="${preset.id}" ${preset.id === selected ? 'selected' : ''}>${escapeHtml(preset.name)}</option>
+        `).join('');
+    elements.presetDeleteBtn.disabled = !elements.presetSelect.value;
+}
+
+// Show a short note, and any warnings, under the preset picker
+function showPresetStatus(message, warnings = []) {
+    elements.presetStatus.textContent = [message, ...warnings.map(warning => `⚠ ${warning}`)].join(' • ');
+    elements.presetStatus.classList.remove('hidden');
+}
+
+// Set the formats and every option control from a preset
+function applyPreset(preset) {
+    const defaults = Object.fromEntries(state.optionSchema.map(option => [option.name, option.default]));
+    const options = { ...defaults, ...preset.options };
+
+    // Formats, with their extension changes
+    const input = parseFormatSpec(preset.fromFormat);
+    const [primary, ...more] = preset.toFormats.map(parseFormatSpec);
+    state.inputFormat = input.format;
+    state.extensions.input = input.changes;
+    state.outputFormat = primary.format;
+    state.extensions.output = primary.changes;
+    state.moreFormats = more.map(item => item.format);
+    state.groupBy = preset.groupBy || 'format';
+    elements.inputFormat.value = state.inputFormat;
+    elements.outputFormat.value = state.outputFormat;
+    elements.groupBySelect.value = state.groupBy;
+
+    // Options with a control in the form
+    document.getElementById('optToc').checked = options.toc;
+    document.getElementById('optNumberSections').checked = options.numberSections;
+    document.getElementById('optBibliography').checked = options.bibliography;
+    document.getElementById('optCss').checked = options.css;
+    elements.citationStyleSelect.value = options.citationStyle;
+    elements.referencesPlacementSelect.value = options.referencesPlacement;
+    elements.referencesTitleInput.value = options.referencesTitle;
+
+    renderTemplateOptions();
+    elements.templateSelect.value = options.referenceDoc;
+    renderStyleOptions();
+    elements.cssThemeSelect.value = options.cssTheme;
+    elements.htmlTemplateSelect.value = options.htmlTemplate;
+
+    if (options.pdfEngine && state.capabilities && state.capabilities.pdfEngines.some(engine => engine.id === options.pdfEngine)) {
+        elements.pdfEngineSelect.value = options.pdfEngine;
+    }
+    elements.paperSizeSelect.value = options.paperSize;
+    elements.marginInput.value = options.margin;
+    elements.fontSizeSelect.value = options.fontSize;
+    elements.documentClassSelect.value = options.documentClass;
+    elements.mainFontInput.value = options.mainFont;
+    elements.monoFontInput.value = options.monoFont;
+
+    // Chosen filters move to the top of the list in the preset's run order
+    const chosen = options.filters.map(id => state.filters.find(filter => filter.id === id)).filter(Boolean);
+    state.filters = [...chosen, ...state.filters.filter(filter => !chosen.includes(filter))];
+    state.selectedFilters = chosen.map(filter => filter.id);
+
+    // Options without a control in the form are sent as they are
+    const controlled = ['toc', 'numberSections', 'bibliography', 'css', 'referenceDoc', 'cssTheme', 'htmlTemplate',
+        'citationStyle', 'referencesPlacement', 'referencesTitle', 'filters', 'pdfEngine', 'paperSize', 'margin',
+        'fontSize', 'documentClass', 'mainFont', 'monoFont'];
+    state.presetExtras = Object.fromEntries(Object.entries(preset.options)
+        .filter(([name]) => !controlled.includes(name)));
+
+    displayFiles();
+    renderExtensions();
+    renderMoreFormats();
+    renderTemplateOptions();
+    renderStyleOptions();
+    renderPdfPanel();
+    renderBibliographyPanel();
+    renderFilters();
+    updateOptions();
+    updateConvertButton();
+    schedulePreview();
+    showPresetStatus(`Applied "${preset.name}"`);
+}
+
+// Save the current formats and options as a preset, replacing one of the same name
+async function savePreset() {
+    const current = state.presets.find(preset => preset.id === elements.presetSelect.value);
+    const name = prompt('Preset name', current ? current.name : '');
+    if (!name || !name.trim()) return;
+
+    updateOptions();
+    try {
+        const response = await fetch('/api/presets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: name.trim(),
+                fromFormat: inputFormatSpec(),
+                toFormats: [outputFormatSpec(), ...state.moreFormats],
+                groupBy: state.groupBy,
+                options: state.options
+            })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Could not save preset');
+        }
+
+        state.presets = [...state.presets.filter(preset => preset.id !== data.id), data];
+        renderPresets(data.id);
+        showPresetStatus(`Saved "${data.name}"`);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Remove the selected preset
+async function deletePreset() {
+    const id = elements.presetSelect.value;
+    if (!id || !confirm('Delete this preset?')) return;
+
+    try {
+        const response = await fetch(`/api/presets/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Could not delete preset');
+        }
+
+        state.presets = state.presets.filter(preset => preset.id !== id);
+        renderPresets('');
+        elements.presetStatus.classList.add('hidden');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Import presets from an exported JSON file
+async function importPresets(file) {
+    const formData = new FormData();
+    formData.append('presets', file);
+
+    try {
+        const response = await fetch('/api/presets/import', {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Import failed');
+        }
+
+        const ids = data.presets.map(preset => preset.id);
+        state.presets = [...state.presets.filter(preset => !ids.includes(preset.id)), ...data.presets];
+        renderPresets();
+        showPresetStatus(`Imported ${data.presets.length} preset(s)`, data.warnings);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Load recent conversions
+async function loadHistory() {
+    try {
+        const response = await fetch('/api/history');
+        const data = await response.json();
+        state.history = data.history;
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+    renderHistory();
+}
+
+// Options of a conversion that differ from their defaults, as "Label: value"
+function describeOptions(options) {
+    return state.optionSchema
+        .filter(spec => JSON.stringify(options[spec.name]) !== JSON.stringify(spec.default))
+        .map(spec => `${spec.label || spec.name}: ${JSON.stringify(options[spec.name])}`);
+}
+
+// Show how long a conversion took
+function formatDuration(ms) {
+    return ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.floor(ms / 60000)}m ${Math.round(ms % 60000 / 1000)}s`;
+}
+
+// List recent conversions with their result and a way to run them again
+function renderHistory() {
+    if (state.history.length === 0) {
+        elements.historyList.innerHTML = '<p class="history-empty">No conversions yet</p>';
+        return;
+    }
+
+    elements.historyList.innerHTML = state.history.map(entry => {
+        const names = entry.files.map(file => file.name);
+        const title = names.length > 2 ? `${names[0]} and ${names.length - 1} more` : names.join(', ');
+        const warnings = entry.outputs.reduce((count, output) => count + (output.warnings || []).length, 0);
+        const meta = [
+            new Date(entry.finishedAt).toLocaleString(),
+            `${entry.separator ? 'combined → ' : ''}${entry.toFormats.join(', ')}`,
+            entry.status,
+            formatDuration(entry.duration),
+            ...(warnings > 0 ? [`⚠ ${warnings} warning(s)`] : [])
+        ];
+        const details = [...names, ...describeOptions(entry.options)].join('\n');
+
+        return `
+            <div class="history-item ${entry.status}">
+                <div class="history-details" title="${escapeHtml(details)}">
+                    <div class="history-name">${escapeHtml(title)}</div>
+                    <div class="history-meta">${escapeHtml(meta.join(' · '))}</div>
+                </div>
+                ${entry.downloadUrl
+                    ? `<a class="small-btn" href="${entry.downloadUrl}">Download</a>`
+                    : '<button type="button" class="small-btn" disabled title="No result, or it has been removed">Download</button>'}
+                <button type="button" class="small-btn" onclick="rerunConversion('${entry.id}')"
+                    ${entry.rerunnable ? '' : 'disabled title="The uploaded files have been removed"'}>Re-run</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// How often the watched folders are refreshed while watch mode is on
+const WATCH_REFRESH_INTERVAL = 5000;
+
+// Load the watched folders and their activity; refreshed while watch mode is on
+async function loadWatchStatus() {
+    try {
+        const response = await fetch('/api/watch');
+        state.watch = await response.json();
+    } catch (error) {
+        console.error('Error loading watched folders:', error);
+    }
+    renderWatchStatus();
+
+    if (state.watch && state.watch.enabled && !state.watchTimer) {
+        state.watchTimer = setInterval(loadWatchStatus, WATCH_REFRESH_INTERVAL);
+    }
+}
+
+// List the watched folders with their counters, then the latest conversions of dropped files
+function renderWatchStatus() {
+    const enabled = Boolean(state.watch && state.watch.enabled);
+    elements.watchSection.classList.toggle('hidden', !enabled);
+    if (!enabled) return;
+
+    elements.watchFolders.innerHTML = state.watch.folders.map(folder => {
+        const meta = folder.status === 'watching'
+            ? [
+                `${folder.fromFormat} → ${folder.toFormats.join(', ')}`,
+                `${folder.converted} converted`,
+                `${folder.failed} failed`,
+                ...(folder.queued > 0 ? [`${folder.queued} in progress`] : [])
+            ]
+            : [`Not watched: ${folder.error}`];
+        const details = folder.output ? `Output: ${folder.output}\nFailed files: ${folder.errors}` : '';
+
+        return `
+            <div class="history-item ${folder.status}">
+                <div class="history-details" title="${escapeHtml(details)}">
+                    <div class="history-name">📁 ${escapeHtml(folder.name)} <span class="history-meta">${escapeHtml(folder.input || '')}</span></div>
+                    <div class="history-meta">${escapeHtml(meta.join(' · '))}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    if (state.watch.activity.length === 0) {
+        elements.watchActivity.innerHTML = '<p class="history-empty">No files converted yet</p>';
+        return;
+    }
+
+    elements.watchActivity.innerHTML = state.watch.activity.map(entry => {
+        const meta = [
+            new Date(entry.startedAt).toLocaleString(),
+            entry.folder,
+            entry.status,
+            ...(entry.duration !== null ? [formatDuration(entry.duration)] : []),
+            ...(entry.warnings.length > 0 ? [`⚠ ${entry.warnings.length} warning(s)`] : [])
+        ];
+        const details = entry.error || [...entry.outputs, ...entry.warnings].join('\n');
+
+        return `
+            <div class="history-item ${entry.status}">
+                <div class="history-details" title="${escapeHtml(details)}">
+                    <div class="history-name">${escapeHtml(entry.file)}</div>
+                    <div class="history-meta">${escapeHtml(meta.join(' · '))}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Inspect each uploaded file in turn, showing the reports as they come in
+async function inspectFiles() {
+    const files = [...state.files];
+    elements.inspectBtn.disabled = true;
+
+    for (const [index, file] of files.entries()) {
+        elements.inspectStatus.textContent = `Inspecting ${file.name} (${index + 1} of ${files.length})...`;
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('fromFormat', getFileFormat(file));
+
+        try {
+            const response = await fetch('/api/inspect', {
+                method: 'POST',
+                body: formData
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not inspect the file');
+            }
+            state.inspections.set(file, data);
+        } catch (error) {
+            console.error('Error inspecting file:', error);
+            state.inspections.set(file, { error: error.message });
+        }
+        renderInspections();
+    }
+
+    elements.inspectStatus.textContent = '';
+    elements.inspectBtn.disabled = state.files.length === 0;
+}
+
+// A titled list in an inspection report, left out when it has no items
+function inspectList(title, items) {
+    if (items.length === 0) return '';
+    return `<h4>${escapeHtml(title)}</h4><ul>${items.join('')}</ul>`;
+}
+
+// Show the inspection report of each file in the file list
+function renderInspections() {
+    elements.inspectBtn.disabled = state.files.length === 0;
+    if (state.files.length === 0) {
+        elements.inspectReports.innerHTML = '<p class="history-empty">Add files to inspect their outline, word count, images and links</p>';
+        return;
+    }
+
+    elements.inspectReports.innerHTML = state.files.map(file => {
+        const report = state.inspections.get(file);
+        if (!report || report.error) {
+            return `
+                <div class="history-item ${report ? 'failed' : ''}">
+                    <div class="history-details">
+                        <div class="history-name">${escapeHtml(file.name)}</div>
+                        <div class="history-meta">${escapeHtml(report ? report.error : 'Not inspected yet')}</div>
+                    </div>
+                </div>
+            `;
+        }
+
+        const missingImages = report.images.filter(image => image.missing).length;
+        const brokenLinks = report.links.filter(link => link.broken).length;
+        const summary = [
+            report.fromFormat,
+            `${report.counts.words} words`,
+            `${report.counts.characters} characters (${report.counts.charactersNoSpaces} without spaces)`,
+            `${report.readingTime} min read`,
+            ...(missingImages > 0 ? [`⚠ ${missingImages} missing image(s)`] : []),
+            ...(brokenLinks > 0 ? [`⚠ ${brokenLinks} broken link(s)`] : [])
+        ];
+        const problem = (flagged, text) => `<li${flagged ? ' class="inspect-problem"' : ''}>${escapeHtml(text)}</li>`;
+        const metadata = Object.entries(report.metadata)
+            .map(([key, value]) => `<li>${escapeHtml(`${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)}</li>`);
+
+        return `
+            <div class="history-item inspect-report">
+                <div class="history-name">${escapeHtml(file.name)}</div>
+                <div class="history-meta">${escapeHtml(summary.join(' · '))}</div>
+                ${inspectList('Outline', report.outline.map(heading =>
+                    `<li style="margin-left: ${(heading.level - 1) * 15}px">${escapeHtml(heading.text)}</li>`))}
+                ${inspectList('Images', report.images.map(image => problem(image.missing,
+                    `${image.target}${image.alt ? ` (${image.alt})` : ''}${image.missing ? ' — missing' : ''}${image.remote ? ' — remote' : ''}`)))}
+                ${inspectList('Links', report.links.map(link => problem(link.broken,
+                    `${link.text || link.url} → ${link.url} (${link.kind}${link.broken ? ', not found' : ''})`)))}
+                ${inspectList('Tables', report.tables.map((table, index) =>
+                    `<li>${escapeHtml(`${table.caption || `Table ${index + 1}`}: ${table.columns} columns, ${table.rows} rows`)}</li>`))}
+                ${inspectList('Footnotes', report.footnotes.map(note => `<li>${escapeHtml(`${note.number}. ${note.text}`)}</li>`))}
+                ${inspectList('Citations', report.citations.map(citation =>
+                    `<li>${escapeHtml(`@${citation.id}${citation.count > 1 ? ` ×${citation.count}` : ''}`)}</li>`))}
+                ${inspectList('Metadata', metadata)}
+            </div>
+        `;
+    }).join('');
+}
+
+// Run an earlier conversion again with its files and settings
+function rerunConversion(id) {
+    if (state.currentJobId || state.uploadController) {
+        return;
+    }
+    runConversion(async () => {
+        const response = await fetch(`/api/history/${id}/rerun`, { method: 'POST' });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Could not run the conversion again');
+        }
+
+        const data = await response.json();
+        renderJobProgress(data.job);
+        return data.jobId;
     });
+}
+
+// Load reference document templates
+async function loadTemplates() {
+    try {
+        const response = await fetch('/api/templates');
+        const data = await response.json();
+        state.templates = data.templates;
+    } catch (error) {
+        console.error('Error loading templates:', error);
+    }
+    renderTemplateOptions();
+}
+
+// Show the template picker with templates for the current output format
+function renderTemplateOptions() {
+    const applies = outputIncludes(REFERENCE_FORMATS);
+    elements.templatePanel.classList.toggle('hidden', !applies);
+    if (!applies) return;
+
+    const selected = elements.templateSelect.value;
+    const formats = selectedOutputFormats();
+    const matching = state.templates.filter(template => formats.includes(template.format));
+    // Name the format when templates for several formats are listed
+    const label = (template) => (new Set(matching.map(item => item.format)).size > 1
+        ? `${template.name} (${template.format})`
+        : template.name);
+
+    elements.templateSelect.innerHTML = '<option value="">Built-in default</option>' + matching.map(template => `
+        <option value="${template.id}" ${template.id === selected ? 'selected' : ''}>${escapeHtml(label(template))}</option>
+    `).join('');
+    elements.templateDetails.classList.add('hidden');
+}
+
+// Upload a reference document to the template library
+async function uploadTemplate(file) {
+    const formData = new FormData();
+    formData.append('template', file);
+
+    try {
+        const response = await fetch('/api/templates', {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Template upload failed');
+        }
+
+        state.templates.push(data);
+        renderTemplateOptions();
+        if (selectedOutputFormats().includes(data.format)) {
+            elements.templateSelect.value = data.id;
+        }
+        updateOptions();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Show the document properties, styles and fonts of the selected template
+async function showTemplateDetails() {
+    const id = elements.templateSelect.value;
+    if (!id) {
+        elements.templateDetails.textContent = "Pandoc's built-in reference document is used.";
+        elements.templateDetails.classList.remove('hidden');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/templates/${id}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Could not read template');
+        }
+
+        const { metadata } = data;
+        const rows = [
+            ['File', data.originalName],
+            ['Title', metadata.title],
+            ['Author', metadata.author],
+            ['Modified', metadata.modified],
+            ['Application', metadata.application],
+            ['Styles', metadata.styles.join(', ')],
+            ['Fonts', metadata.fonts.join(', ')]
+        ].filter(([, value]) => value);
+
+        elements.templateDetails.innerHTML = rows.map(([label, value]) => `
+            <div><strong>${label}:</strong> ${escapeHtml(value)}</div>
+        `).join('');
+        elements.templateDetails.classList.remove('hidden');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Remove the selected template from the library
+async function deleteTemplate() {
+    const id = elements.templateSelect.value;
+    if (!id || !confirm('Delete this template?')) return;
+
+    try {
+        const response = await fetch(`/api/templates/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Could not delete template');
+        }
+
+        state.templates = state.templates.filter(template => template.id !== id);
+        elements.templateSelect.value = '';
+        renderTemplateOptions();
+        updateOptions();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Escape text for insertion into HTML, including quoted attribute values
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // innerHTML leaves quotes alone
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Update convert button state
+function updateConvertButton() {
+    const canConvert = hasInput() && state.outputFormat;
+    elements.convertBtn.disabled = !canConvert;
+}
+
+// Toggle section
+function toggleSection(sectionId) {
+    const section = document.getElementById(sectionId);
+    const title = section.previousElementSibling;
+
+    section.classList.toggle('collapsed');
+    title.querySelector('.toggle-icon').style.transform =
+        section.classList.contains('collapsed') ? 'rotate(-90deg)' : 'rotate(0deg)';
+}
+
+// Convert files
+function convertFiles() {
+    updateOptions();
+    runConversion(submitJob);
+}
+
+// Start a job with the given function, which returns its id, and follow it to the result
+async function runConversion(startJob) {
+    hideMessages();
+
+    // Show progress
+    elements.progressSection.classList.remove('hidden');
+    elements.progressFill.style.width = '0%';
+    elements.progressText.textContent = 'Uploading...';
+    elements.jobStatus.innerHTML = '';
+    elements.convertBtn.disabled = true;
+    elements.cancelBtn.disabled = false;
+
+    try {
+        const jobId = await startJob();
+        state.currentJobId = jobId;
+        const job = await watchJob(jobId);
+
+        elements.progressSection.classList.add('hidden');
+
+        if (job.status === 'cancelled') {
+            showError('Conversion cancelled');
+            return;
+        }
+
+        showResults(job);
+
+    } catch (error) {
+        console.error('Conversion error:', error);
+        elements.progressSection.classList.add('hidden');
+        showError(error.name === 'AbortError'
+            ? 'Conversion cancelled'
+            : error.message || 'Conversion failed. Please try again.');
+    } finally {
+        state.currentJobId = null;
+        state.uploadController = null;
+        updateConvertButton();
+        elements.progressFill.style.width = '0%';
+        loadHistory();
+    }
+}
+
+// Show the outcome of a finished job: a summary, a row per output and the download link
+function showResults(job) {
+    const outputs = job.combined || job.files;
+    const converted = outputs.filter(file => file.status === 'done');
+    const unit = job.toFormats.length > 1 ? 'outputs' : 'files';
+
+    if (job.status !== 'done') {
+        elements.resultMessage.textContent = 'Conversion failed';
+    } else if (job.combined) {
+        elements.resultMessage.textContent = `Combined ${job.total} files into ${converted.map(output => output.output).join(', ')}`;
+    } else if (outputs.length === 1) {
+        elements.resultMessage.textContent = `Converted ${outputs[0].name} to ${outputs[0].output}`;
+    } else {
+        elements.resultMessage.textContent = `Converted ${converted.length} of ${outputs.length} ${unit}`;
+    }
+
+    elements.resultIcon.textContent = job.status !== 'done' ? '❌' : converted.length < outputs.length ? '⚠️' : '✅';
+    elements.resultSection.classList.toggle('failed', job.status !== 'done');
+    renderResultTable(job);
+    elements.downloadLink.href = job.downloadUrl || '#';
+    elements.downloadLink.classList.toggle('hidden', !job.downloadUrl);
+    showMissingCitations(job);
+    elements.resultSection.classList.remove('hidden');
+}
+
+// List every output of a job with its status, timing, error and warnings.
+// A combined job also lists how reading each of its files went.
+function renderResultTable(job) {
+    const rows = job.combined ? [...job.files, ...job.combined] : job.files;
+
+    elements.resultTable.innerHTML = `
+        <thead>
+            <tr><th>File</th><th>Output</th><th>Status</th><th>Time</th><th>Details</th></tr>
+        </thead>
+        <tbody>
+            ${rows.map(file => {
+                const warnings = file.warnings || [];
+                let details = '';
+                if (file.error) {
+                    details = escapeHtml(file.error);
+                } else if (warnings.length > 0) {
+                    details = `<details><summary>⚠ ${warnings.length} warning(s)</summary>
+                        <ul>${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul></details>`;
+                }
+                return `
+                    <tr class="${file.status}">
+                        <td>${escapeHtml(file.name)}</td>
+                        <td>${file.output ? escapeHtml(file.output) : '—'}</td>
+                        <td>${file.status}</td>
+                        <td>${file.duration != null ? formatDuration(file.duration) : ''}</td>
+                        <td>${details}</td>
+                    </tr>
+                `;
+            }).join('')}
+        </tbody>
+    `;
+}
+
+// List citation keys Pandoc could not resolve
+function showMissingCitations(job) {
+    const outputs = job.combined || job.files;
+    const missing = [...new Set(outputs.flatMap(file => file.missingCitations || []))];
+    elements.resultWarnings.textContent = missing.length > 0
+        ? `⚠ Unresolved citations: ${missing.join(', ')}`
+        : '';
+    elements.resultWarnings.classList.toggle('hidden', missing.length === 0);
+}
+
+// Cancel the upload or the running job
+async function cancelConversion() {
+    elements.cancelBtn.disabled = true;
 
-    formData.append('fromFormat', state.inputFormat || 'markdown');
-    formData.append('toFormat', state.outputFormat);
+    if (state.uploadController) {
+        state.uploadController.abort();
+    }
+
+    if (state.currentJobId) {
+        try {
+            await fetch(`/api/jobs/${state.currentJobId}/cancel`, { method: 'POST' });
+        } catch (error) {
+            console.error('Error cancelling job:', error);
+        }
+    }
+}
+
+// Submit files as a conversion job
+async function submitJob() {
+    const formData = new FormData();
+
+    // Pasted text and URLs are sent as fields and stored by the server as a document
+    if (state.inputMode === 'text') {
+        formData.append('text', elements.textInput.value);
+        formData.append('textName', elements.textNameInput.value.trim());
+    } else if (state.inputMode === 'url') {
+        formData.append('url', elements.urlInput.value.trim());
+    } else if (state.inputMode === 'project') {
+        // Project documents are already on the server
+        formData.append('project', state.project.id);
+        formData.append('entries', JSON.stringify(state.projectEntries));
+    } else {
+        state.files.forEach(file => {
+            formData.append('files', file);
+        });
+        formData.append('fromFormats', JSON.stringify(state.files.map(getFileFormat)));
+    }
+
+    formData.append('fromFormat', inputFormatSpec());
+    formData.append('toFormat', outputFormatSpec());
+    if (state.moreFormats.length > 0) {
+        formData.append('toFormats', JSON.stringify([outputFormatSpec(), ...state.moreFormats]));
+        formData.append('groupBy', state.groupBy);
+    }
     formData.append('options', JSON.stringify(state.options));
+    formData.append('metadata', JSON.stringify(collectMetadata()));
+    if (state.metadataFile) {
+        formData.append('metadataFile', state.metadataFile);
+    }
+
+    // Files are joined in the order of the file list, project documents in the order they were chosen
+    if (['files', 'project'].includes(state.inputMode) && state.combine && documentCount() > 1) {
+        formData.append('combine', 'true');
+        formData.append('separator', state.combineSeparator);
+    }
+
+    // Bibliography files only matter while citation processing is on
+    if (state.options.bibliography) {
+        state.bibliographyFiles.forEach(file => {
+            formData.append('bibliography', file);
+        });
+        if (state.cslFile) {
+            formData.append('csl', state.cslFile);
+        }
+    }
+
+    // Header and footer includes only apply to PDF output
+    if (outputIncludes(['pdf'])) {
+        if (state.includeInHeader) {
+            formData.append('includeInHeader', state.includeInHeader);
+        }
+        if (state.includeAfterBody) {
+            formData.append('includeAfterBody', state.includeAfterBody);
+        }
+    }
 
-    const response = await fetch('/api/convert-batch', {
+    state.uploadController = new AbortController();
+    const response = await fetch('/api/jobs', {
         method: 'POST',
-        body: formData
+        body: formData,
+        signal: state.uploadController.signal
     });
+    state.uploadController = null;
 
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Batch conversion failed');
-    }
-
-    // Download ZIP file
-    const blob = await response.blob();
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'converted-documents.zip';
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    document.body.removeChild(a);
-}
-
-// Get output filename
-function getOutputFilename(inputFilename) {
-    const basename = inputFilename.substring(0, inputFilename.lastIndexOf('.')) || inputFilename;
-    const extensions = {
-        markdown: '.md',
-        html: '.html',
-        docx: '.docx',
-        odt: '.odt',
-        epub: '.epub',
-        pdf: '.pdf',
-        latex: '.tex',
-        rst: '.rst',
-        textile: '.textile',
-        org: '.org',
-        mediawiki: '.wiki',
-        rtf: '.rtf',
-        plain: '.txt',
-        json: '.json'
+        throw new Error(error.error || 'Conversion failed');
+    }
+
+    const data = await response.json();
+    renderJobProgress(data.job);
+    return data.jobId;
+}
+
+// Follow a job through Server-Sent Events until it finishes
+function watchJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`/api/jobs/${jobId}/events`);
+
+        source.onmessage = (event) => {
+            const job = JSON.parse(event.data);
+            renderJobProgress(job);
+
+            if (['done', 'failed', 'cancelled'].includes(job.status)) {
+                source.close();
+                resolve(job);
+            }
+        };
+
+        source.onerror = () => {
+            source.close();
+            pollJob(jobId).then(resolve, reject);
+        };
+    });
+}
+
+// Fall back to polling when the event stream is unavailable
+async function pollJob(jobId) {
+    while (true) {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        if (!response.ok) {
+            throw new Error('Lost track of the conversion job');
+        }
+
+        const job = await response.json();
+        renderJobProgress(job);
+
+        if (['done', 'failed', 'cancelled'].includes(job.status)) {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+// Show overall progress and a status row for each file
+function renderJobProgress(job) {
+    // A combined document is rendered once per format after every file is read
+    const finished = ['done', 'failed', 'cancelled'];
+    const combined = job.combined || [];
+    const steps = job.total + combined.length;
+    const completed = job.completed + combined.filter(output => finished.includes(output.status)).length;
+    const percent = steps > 0 ? Math.round(completed / steps * 100) : 0;
+    const several = job.toFormats.length > 1;
+    elements.progressFill.style.width = `${percent}%`;
+    if (job.combined) {
+        elements.progressText.textContent = `Combining... read ${job.completed} of ${job.total} files`;
+    } else {
+        elements.progressText.textContent = `Converting... ${job.completed} of ${job.total} ${several ? 'outputs' : 'files'}`;
+    }
+
+    const statusIcons = {
+        queued: '⏳',
+        running: '🔄',
+        done: '✅',
+        failed: '❌',
+        cancelled: '⛔'
     };
-    return basename + (extensions[state.outputFormat] || '.txt');
+
+    // Rows name the target format when several are produced
+    const row = (file, name, className = '') => `
+        <div class="job-file ${className} ${file.status}">
+            <span>${statusIcons[file.status] || ''} ${escapeHtml(name)}${several && file.format ? ` → ${escapeHtml(file.format)}` : ''}${(file.missingCitations || []).length > 0 ? ` ⚠ ${file.missingCitations.length} unresolved citation(s)` : ''}</span>
+            <span class="job-file-status" title="${escapeHtml(file.error || '')}">${file.status}</span>
+        </div>
+    `;
+
+    elements.jobStatus.innerHTML = job.files.map(file => row(file, file.name)).join('') +
+        combined.map(output => row(output, output.output, 'combined')).join('');
 }
 
 // Show error message
@@ -352,6 +2366,14 @@ function hideMessages() {
 // Make functions globally accessible
 window.toggleSection = toggleSection;
 window.removeFile = removeFile;
+window.setFileFormat = setFileFormat;
+window.toggleExtension = toggleExtension;
+window.toggleMoreFormat = toggleMoreFormat;
+window.selectFilter = selectFilter;
+window.moveFilter = moveFilter;
+window.deleteFilter = deleteFilter;
+window.rerunConversion = rerunConversion;
+window.toggleProjectEntry = toggleProjectEntry;
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
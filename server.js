@@ -1,22 +1,103 @@
 const express = require('express');
 const multer = require('multer');
-const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
-const archiver = require('archiver');
 const cors = require('cors');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const sanitizeHtml = require('sanitize-html');
+const {
+  DATA_DIR, TEMPLATES_DIR, TEMPLATES_INDEX, STYLES_DIR, STYLES_INDEX, FILTERS_DIR, FILTERS_INDEX,
+  PRESETS_INDEX, BUILTIN_THEMES, NO_ATTACHMENTS, METADATA_FIELDS, PDF_ENGINES, MEDIA_INPUT_FORMATS,
+  pandocFeatures, availablePdfEngines, formatExtensions, formatBase, getFormatCatalog,
+  formatFromExtension, detectInputFormat, resolveInputFormat, validationError, OPTION_SCHEMA,
+  optionDefaults, optionValues, normalizeOptions, validateInputFormat, parseConversionRequest,
+  parseAttachments, attachmentPaths, ABSOLUTE_REFERENCE, parseWarnings, parseMissingCitations,
+  readDocumentMetadata, createSubmission, cancelSubmission, withPandocSlot, convertFile, runPandocOutput,
+  createZip, removeMedia, documentEntries, buildManifest, reportEntries, loadIndex, saveIndex,
+  templates, templatePath, styles, findStyle, stylePath, filters, filterPath, PRESET_FILE_VERSION,
+  dropMissingLibraryItems, validatePreset, readPresetsFile, getOutputExtension, detectPandoc,
+  pandocInfo, loadLibraries, convertBatch, batchEntries, inspectDocument
+} = require('./lib/pipeline');
+const {
+  parseGroupBy, parseCombineRequest, summarizeOutput, jobOutputs, createJob: createConversionJob,
+  convertJob, packageJob
+} = require('./lib/jobs');
+const { buildOpenApiDocument } = require('./lib/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// How long uploads and converted documents are kept, how much space each of
+// uploads/ and downloads/ may take (in MB), and how often old files are swept
+const RETENTION_MAX_AGE = parseInt(process.env.RETENTION_MAX_AGE, 10) || 24 * 60 * 60 * 1000; // 24 hours
+const RETENTION_MAX_SIZE = (parseInt(process.env.RETENTION_MAX_SIZE, 10) || 1024) * 1024 * 1024; // 1GB
+const RETENTION_SWEEP_INTERVAL = parseInt(process.env.RETENTION_SWEEP_INTERVAL, 10) || 10 * 60 * 1000; // 10 minutes
+// Hosts documents may be fetched from by URL, comma separated; "*.example.com" also
+// allows its subdomains. URL input is off until hosts are listed.
+const URL_ALLOWED_HOSTS = (process.env.URL_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// Largest document, or image of a fetched web page, downloaded from a URL (in MB)
+const URL_MAX_SIZE = (parseInt(process.env.URL_MAX_SIZE, 10) || 20) * 1024 * 1024; // 20MB
+// Watched folders: a JSON file listing them, or a single folder with its output and
+// error folders and formats. Files are converted once unchanged for the debounce time.
+const WATCH_CONFIG = process.env.WATCH_CONFIG || null;
+const WATCH_DIR = process.env.WATCH_DIR || null;
+const WATCH_OUTPUT_DIR = process.env.WATCH_OUTPUT_DIR || null;
+const WATCH_ERROR_DIR = process.env.WATCH_ERROR_DIR || null;
+const WATCH_FROM = process.env.WATCH_FROM || 'auto';
+const WATCH_TO = process.env.WATCH_TO || 'html';
+const WATCH_DEBOUNCE = parseInt(process.env.WATCH_DEBOUNCE, 10) || 2000; // 2 seconds
+// API keys of the versioned API under /api/v1: a JSON file listing { name, key } with an
+// optional rateLimit and uploadQuota each. The versioned API is off until keys are listed.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || null;
+// Requests per minute and MB uploaded per day for keys that set no limits of their own,
+// and for the page's sessions from one address
+const API_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT, 10) || 60;
+const API_UPLOAD_QUOTA = parseInt(process.env.API_UPLOAD_QUOTA, 10) || 1024; // 1GB per day
+// Once keys are listed the bundled page gets a session cookie so that it works without a
+// key; UI_SESSIONS=off requires a key for every request instead
+const UI_SESSIONS = process.env.UI_SESSIONS !== 'off';
+// Proxies in front of the server whose X-Forwarded-For is believed when counting the
+// page's usage per address: a number of hops, or addresses and subnets such as loopback
+const TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY || '') ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY || false;
+// Web pages on other sites allowed to call the API, as origins separated by commas;
+// "*" allows any. Only the app's own page may call it until origins are listed.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Hosts job completion webhooks may be sent to, comma separated as for URL_ALLOWED_HOSTS,
+// and the secret payloads are signed with (API keys may have their own). Jobs are refused
+// a callback URL until both are set.
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+// Delivery attempts per webhook, and the wait before the first retry, doubled after each one
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 30 * 1000; // 30 seconds
+// How long the download link sent with a webhook works
+const WEBHOOK_LINK_TTL = parseInt(process.env.WEBHOOK_LINK_TTL, 10) || 24 * 60 * 60 * 1000; // 24 hours
+// Address of the server for links in webhooks, e.g. https://convert.example.com behind a
+// proxy. Taken from the request that submitted the job when not set.
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '') || null;
+
+// Key needed to upload and delete Lua filters, sent in the X-Admin-Key header. Filters run
+// with the server's privileges, so the filter library is read-only until a key is set.
+const FILTER_ADMIN_KEY = process.env.FILTER_ADMIN_KEY || null;
+
 // Middleware
-app.use(cors());
+app.set('trust proxy', TRUST_PROXY);
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  exposedHeaders: ['Content-Disposition', 'Retry-After', 'X-Missing-Citations', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+}));
 app.use(express.json());
-app.use(express.static('public'));
+
+// Recently finished conversion jobs
+const HISTORY_INDEX = path.join(DATA_DIR, 'history.json');
+
+// Pandoc template that renders only the title, TOC and body for the preview pane
+const PREVIEW_TEMPLATE = path.join(__dirname, 'themes', 'preview.html');
 
 // Create necessary directories
 const ensureDirectories = async () => {
-  const dirs = ['uploads', 'downloads', 'public'];
+  const dirs = ['uploads', 'downloads', 'public', TEMPLATES_DIR, STYLES_DIR, FILTERS_DIR];
   for (const dir of dirs) {
     try {
       await fs.mkdir(dir, { recursive: true });
@@ -31,8 +112,9 @@ const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, 'uploads/');
   },
+  // The random part keeps apart equal names uploaded at once, as folder uploads have
   filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+    cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${file.originalname}`);
   }
 });
 
@@ -41,322 +123,2580 @@ const upload = multer({
   limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit
 });
 
-// Check if Pandoc is installed
-const checkPandoc = () => {
-  return new Promise((resolve, reject) => {
-    exec('pandoc --version', (error, stdout) => {
-      if (error) {
-        reject(new Error('Pandoc is not installed or not in PATH'));
-      } else {
-        resolve(stdout);
-      }
-    });
-  });
+// Largest pasted text accepted, as a document or for a preview
+const MAX_TEXT_INPUT = 1024 * 1024; // 1MB, multer's limit for a form field
+
+// Document types accepted from URLs, with the file extension they are stored under
+const URL_CONTENT_TYPES = {
+  'text/html': '.html',
+  'application/xhtml+xml': '.html',
+  'text/markdown': '.md',
+  'text/x-markdown': '.md',
+  'text/x-rst': '.rst',
+  'text/x-tex': '.tex',
+  'application/x-tex': '.tex',
+  'text/plain': '.txt',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.oasis.opendocument.text': '.odt',
+  'application/epub+zip': '.epub'
 };
+const URL_TIMEOUT = 30 * 1000; // 30 seconds per request
+const URL_MAX_REDIRECTS = 5;
+// Most images fetched for one web page
+const URL_MAX_RESOURCES = 50;
+
+// Whether a host is on an allowlist, by default the one for URL input
+const hostAllowed = (hostname, allowedHosts = URL_ALLOWED_HOSTS) => allowedHosts.some(allowed => (
+  allowed.startsWith('*.') ? hostname.endsWith(allowed.slice(1)) : hostname === allowed
+));
+
+// Error raised when a remote server cannot be reached or answers with an error, answered with a 502
+const fetchError = (field, message) => Object.assign(new Error(message), { status: 502, field });
+
+// GET an allowlisted http(s) URL. Redirects are followed by hand so every hop is checked.
+const fetchAllowed = async (url, field) => {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    if (!['http:', 'https:'].includes(current.protocol)) {
+      throw validationError(field, 'only http and https URLs are supported');
+    }
+    if (!hostAllowed(current.hostname.toLowerCase())) {
+      throw validationError(field, `host ${current.hostname} is not on the allowlist`);
+    }
+
+    let response;
+    try {
+      response = await fetch(current, { redirect: 'manual', signal: AbortSignal.timeout(URL_TIMEOUT) });
+    } catch (error) {
+      throw fetchError(field, `Could not fetch ${current.href}: ${error.cause ? error.cause.message : error.message}`);
+    }
 
-// Build Pandoc command with comprehensive options
-const buildPandocCommand = (inputPath, outputPath, fromFormat, toFormat, options = {}) => {
-  let cmd = `pandoc "${inputPath}" -f ${fromFormat} -t ${toFormat} -o "${outputPath}"`;
+    if (response.status >= 300 && response.status < 400 && response.headers.has('location')) {
+      if (redirects >= URL_MAX_REDIRECTS) {
+        throw fetchError(field, `Too many redirects from ${url.href}`);
+      }
+      current = new URL(response.headers.get('location'), current);
+      continue;
+    }
+    if (!response.ok) {
+      throw fetchError(field, `${current.href} answered with status ${response.status}`);
+    }
+    return { url: current, response };
+  }
+};
 
-  // Standalone document with proper headers
-  if (['html', 'docx', 'odt', 'epub', 'pdf'].includes(toFormat)) {
-    cmd += ' --standalone';
+// Read a response body, giving up as soon as it grows past the size limit
+const readLimited = async (response, field) => {
+  const tooLarge = () => validationError(field, `larger than ${URL_MAX_SIZE / 1024 / 1024}MB`);
+  if (parseInt(response.headers.get('content-length'), 10) > URL_MAX_SIZE) {
+    throw tooLarge();
   }
 
-  // Table of contents for supported formats
-  if (options.toc && ['html', 'pdf', 'docx', 'epub'].includes(toFormat)) {
-    cmd += ' --toc --toc-depth=6';
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > URL_MAX_SIZE) {
+      throw tooLarge();
+    }
+    chunks.push(chunk);
   }
+  return Buffer.concat(chunks);
+};
 
-  // Number sections
-  if (options.numberSections) {
-    cmd += ' --number-sections';
+// Media type of a response without parameters such as the charset
+const contentType = (response) => (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+// A URL path or path segment decoded, or as it is when it is not valid percent-encoding
+const decodeUrlPath = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
   }
+};
 
-  // Preserve formatting
-  cmd += ' --preserve-tabs';
+// A safe file name for a fetched document: the last part of the URL path, with the
+// extension of its content type unless it already has a fitting one. Raw files served
+// as plain text keep their own extension, so README.md is still read as Markdown.
+const urlFileName = (url, type) => {
+  const last = decodeUrlPath(url.pathname.split('/').pop() || '').replace(/[^\w.-]+/g, '_');
+  const { name, ext } = path.parse(last);
+  const expected = URL_CONTENT_TYPES[type];
+  const fits = type === 'text/plain' ? ext !== '' : [expected, ...(expected === '.html' ? ['.htm'] : [])].includes(ext.toLowerCase());
+  return fits ? last : `${name || url.hostname}${expected}`;
+};
 
-  // Handle images - extract and embed
-  if (['docx', 'odt', 'epub'].includes(fromFormat)) {
-    cmd += ' --extract-media=./uploads/media';
+// Relative image sources in fetched HTML. Absolute URLs, root-relative paths and
+// data: URIs are left to Pandoc.
+const relativeImageSources = (html) => {
+  const sources = new Set();
+  for (const [, , src] of html.matchAll(/<img\b[^>]*?\bsrc\s*=\s*(["'])(.*?)\1/gi)) {
+    const value = src.trim().replace(/&amp;/g, '&');
+    if (value && !ABSOLUTE_REFERENCE.test(value)) {
+      sources.add(value);
+    }
   }
+  return [...sources].slice(0, URL_MAX_RESOURCES);
+};
+
+// Download the relative images of a fetched page into resourceDir, at the paths the page
+// uses, so Pandoc finds them through --resource-path. Images that cannot be fetched are
+// skipped; Pandoc warns about them.
+const fetchPageResources = async (html, pageUrl, resourceDir) => {
+  for (const src of relativeImageSources(html)) {
+    try {
+      const target = path.join(resourceDir, decodeURIComponent(src.split(/[?#]/)[0]));
+      // Sources climbing out of the page's folder would land outside resourceDir
+      if (!target.startsWith(`${resourceDir}${path.sep}`)) continue;
 
-  // For HTML output, add CSS and better formatting
-  if (toFormat === 'html') {
-    cmd += ' --self-contained --mathjax';
-    if (options.css) {
-      cmd += ' --css=style.css';
+      const { response } = await fetchAllowed(new URL(src, pageUrl), 'url');
+      if (!contentType(response).startsWith('image/')) {
+        response.body.cancel().catch(() => {});
+        continue;
+      }
+      const body = await readLimited(response, 'url');
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, body);
+    } catch (error) {
+      console.warn('Skipped image %s of %s: %s', src, pageUrl.href, error.message);
     }
   }
+};
 
-  // For PDF output, use appropriate engine
-  if (toFormat === 'pdf') {
-    cmd += ' --pdf-engine=pdflatex';
-    // Handle complex tables and formatting
-    cmd += ' --variable=geometry:margin=1in';
+// Fetch a document from an allowlisted URL into uploads/. Images of an HTML page go
+// to a resource directory of their own. Resolves to { file, resourceDir }, where file
+// looks like a multer upload.
+const fetchUrlInput = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw validationError('url', 'not a valid URL');
+  }
+  if (URL_ALLOWED_HOSTS.length === 0) {
+    throw validationError('url', 'URL input is turned off on this server (see URL_ALLOWED_HOSTS)');
   }
 
-  // For DOCX output, preserve styling
-  if (toFormat === 'docx') {
-    cmd += ' --reference-doc=reference.docx';
+  const fetched = await fetchAllowed(url, 'url');
+  const type = contentType(fetched.response);
+  if (!URL_CONTENT_TYPES[type]) {
+    fetched.response.body.cancel().catch(() => {});
+    throw validationError('url', `unsupported content type "${type || 'none'}"`);
   }
+  const body = await readLimited(fetched.response, 'url');
 
-  // Smart typography
-  cmd += ' --smart';
+  const prefix = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const originalname = urlFileName(fetched.url, type);
+  const filePath = path.join('uploads', `${prefix}-${originalname}`);
+  await fs.writeFile(filePath, body);
 
-  // Syntax highlighting for code blocks
-  cmd += ' --highlight-style=pygments';
+  const input = { file: { originalname, path: filePath }, resourceDir: null };
+  if (URL_CONTENT_TYPES[type] === '.html') {
+    input.resourceDir = path.join('uploads', `${prefix}-resources`);
+    try {
+      await fs.mkdir(input.resourceDir);
+      await fetchPageResources(body.toString('utf8'), fetched.url, input.resourceDir);
+    } catch (error) {
+      discardInput(input);
+      throw error;
+    }
+  }
 
-  // Handle line breaks properly
-  cmd += ' --wrap=preserve';
+  return input;
+};
 
-  // Citations and bibliography
-  if (options.bibliography) {
-    cmd += ' --citeproc';
+// Store pasted text in uploads/ as a document. Without a name (or extension) it is
+// taken for Markdown unless an input format is chosen.
+const textInput = async (text, name) => {
+  if (Buffer.byteLength(text) > MAX_TEXT_INPUT) {
+    throw validationError('text', `larger than ${MAX_TEXT_INPUT / 1024}KB`);
   }
 
-  return cmd;
+  const cleaned = (typeof name === 'string' ? name.trim() : '').replace(/[^\w.-]+/g, '_');
+  const { name: base, ext } = path.parse(cleaned);
+  const originalname = `${base || 'pasted'}${ext || '.md'}`;
+  const filePath = path.join('uploads', `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${originalname}`);
+  await fs.writeFile(filePath, text);
+  return { file: { originalname, path: filePath }, resourceDir: null };
 };
 
-// Convert a single file
-const convertFile = (inputPath, outputPath, fromFormat, toFormat, options) => {
-  return new Promise((resolve, reject) => {
-    const cmd = buildPandocCommand(inputPath, outputPath, fromFormat, toFormat, options);
+// Whether a request brings pasted `text` or a `url` instead of uploaded documents
+const hasTextOrUrl = (body) => typeof body.text === 'string' || (typeof body.url === 'string' && body.url.trim() !== '');
 
-    console.log('Executing:', cmd);
+// The pasted text or fetched URL of a request as a document
+const textOrUrlInput = (body) => (
+  typeof body.text === 'string' ? textInput(body.text, body.textName) : fetchUrlInput(body.url.trim())
+);
 
-    exec(cmd, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Pandoc error:', stderr);
-        reject(new Error(`Conversion failed: ${stderr || error.message}`));
-      } else {
-        resolve(outputPath);
-      }
-    });
-  });
+// Delete a document made from pasted text or a URL, with the images fetched for it
+const discardInput = (input) => {
+  if (!input) return;
+  fs.unlink(input.file.path).catch(() => {});
+  if (input.resourceDir) {
+    fs.rm(input.resourceDir, { recursive: true, force: true }).catch(() => {});
+  }
 };
 
-// API endpoint to check Pandoc availability
-app.get('/api/check-pandoc', async (req, res) => {
-  try {
-    const version = await checkPandoc();
-    res.json({
-      available: true,
-      version: version.split('\n')[0]
-    });
-  } catch (error) {
-    res.json({
-      available: false,
-      error: error.message
-    });
+// Uploaded projects by id: a folder or ZIP archive unpacked into a workspace of its
+// own in uploads/, from which entry documents are converted with their resources
+const projects = new Map();
+const MAX_PROJECT_FILES = 2000;
+const MAX_PROJECT_SIZE = 200 * 1024 * 1024; // 200MB unpacked
+// Archive clutter that is left out of projects
+const PROJECT_JUNK = /(^|\/)(__MACOSX|\.git)\/|(^|\/)(\.DS_Store|Thumbs\.db)$/;
+
+// Normalize a file name from an archive or folder upload to a relative path with
+// forward slashes, refusing names that would land outside the project (zip-slip)
+const projectEntryName = (name, field) => {
+  const normalized = path.posix.normalize(String(name).replace(/\\/g, '/'));
+  if (path.posix.isAbsolute(normalized) || /^[a-z]:/i.test(normalized) || normalized.includes('\0') ||
+    normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    throw validationError(field, `"${name}" points outside the project`);
   }
-});
+  return normalized;
+};
 
-// API endpoint to get supported formats
-app.get('/api/formats', (req, res) => {
-  const formats = {
-    input: [
-      { value: 'markdown', label: 'Markdown', extensions: ['.md', '.markdown'] },
-      { value: 'html', label: 'HTML', extensions: ['.html', '.htm'] },
-      { value: 'docx', label: 'Word (DOCX)', extensions: ['.docx'] },
-      { value: 'odt', label: 'OpenDocument', extensions: ['.odt'] },
-      { value: 'epub', label: 'EPUB', extensions: ['.epub'] },
-      { value: 'latex', label: 'LaTeX', extensions: ['.tex'] },
-      { value: 'rst', label: 'reStructuredText', extensions: ['.rst'] },
-      { value: 'textile', label: 'Textile', extensions: ['.textile'] },
-      { value: 'org', label: 'Org Mode', extensions: ['.org'] },
-      { value: 'mediawiki', label: 'MediaWiki', extensions: ['.wiki'] },
-      { value: 'rtf', label: 'Rich Text Format', extensions: ['.rtf'] },
-      { value: 'json', label: 'Pandoc JSON', extensions: ['.json'] }
-    ],
-    output: [
-      { value: 'markdown', label: 'Markdown', extension: '.md' },
-      { value: 'html', label: 'HTML', extension: '.html' },
-      { value: 'docx', label: 'Word (DOCX)', extension: '.docx' },
-      { value: 'odt', label: 'OpenDocument', extension: '.odt' },
-      { value: 'epub', label: 'EPUB', extension: '.epub' },
-      { value: 'pdf', label: 'PDF', extension: '.pdf' },
-      { value: 'latex', label: 'LaTeX', extension: '.tex' },
-      { value: 'rst', label: 'reStructuredText', extension: '.rst' },
-      { value: 'textile', label: 'Textile', extension: '.textile' },
-      { value: 'org', label: 'Org Mode', extension: '.org' },
-      { value: 'mediawiki', label: 'MediaWiki', extension: '.wiki' },
-      { value: 'rtf', label: 'Rich Text Format', extension: '.rtf' },
-      { value: 'plain', label: 'Plain Text', extension: '.txt' },
-      { value: 'json', label: 'Pandoc JSON', extension: '.json' }
-    ]
+// Location of a project entry inside the project folder
+const projectPath = (root, entry) => path.join(root, ...entry.split('/'));
+
+// The folder every entry is in, when the upload wraps the project in a single folder
+const commonFolder = (entries) => {
+  const [first] = entries[0].split('/');
+  return entries.every(entry => entry.startsWith(`${first}/`)) ? `${first}/` : '';
+};
+
+// Source file of a conversion from a project entry. Pandoc runs in the entry's folder,
+// which is also kept in the output ZIP.
+const projectFile = (root, entry) => {
+  const folder = path.posix.dirname(entry);
+  return {
+    originalname: entry,
+    path: projectPath(root, entry),
+    folder: folder === '.' ? '' : `${folder}/`,
+    workdir: path.dirname(projectPath(root, entry))
   };
+};
 
-  res.json(formats);
+// Documents of a project Pandoc can convert, by extension. JSON files are more likely
+// data than Pandoc ASTs, so they are not offered.
+const projectDocuments = (entries) => entries.filter((entry) => {
+  const format = formatFromExtension(entry);
+  return format && format !== 'json';
 });
 
-// Single file conversion endpoint
-app.post('/api/convert', upload.single('file'), async (req, res) => {
+// Unpack a ZIP archive into a project folder. Returns the entries written.
+const unpackArchive = async (file, root) => {
+  let zipEntries;
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+    zipEntries = new AdmZip(file.path).getEntries();
+  } catch (error) {
+    throw validationError('archive', 'not a valid ZIP archive');
+  }
 
-    const { fromFormat, toFormat, options } = req.body;
-    const parsedOptions = options ? JSON.parse(options) : {};
+  const items = zipEntries
+    .filter(item => !item.isDirectory && !PROJECT_JUNK.test(item.entryName))
+    .map(item => ({ item, entry: projectEntryName(item.entryName, 'archive') }));
+  if (items.length === 0) {
+    throw validationError('archive', 'the archive holds no files');
+  }
+  if (items.length > MAX_PROJECT_FILES) {
+    throw validationError('archive', `more than ${MAX_PROJECT_FILES} files`);
+  }
 
-    const inputPath = req.file.path;
-    const outputFilename = path.parse(req.file.originalname).name;
-    const outputExt = getOutputExtension(toFormat);
-    const outputPath = path.join('downloads', `${outputFilename}-${Date.now()}${outputExt}`);
+  // Sizes in the archive can lie, so the unpacked data is counted as well
+  const tooLarge = () => validationError('archive', `larger than ${MAX_PROJECT_SIZE / 1024 / 1024}MB unpacked`);
+  if (items.reduce((sum, { item }) => sum + item.header.size, 0) > MAX_PROJECT_SIZE) {
+    throw tooLarge();
+  }
 
-    await convertFile(inputPath, outputPath, fromFormat, toFormat, parsedOptions);
+  const prefix = commonFolder(items.map(({ entry }) => entry));
+  let total = 0;
+  const entries = [];
+  for (const { item, entry } of items) {
+    const data = item.getData();
+    total += data.length;
+    if (total > MAX_PROJECT_SIZE) {
+      throw tooLarge();
+    }
+    const name = entry.slice(prefix.length);
+    const target = projectPath(root, name);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, data);
+    entries.push(name);
+  }
+  return entries;
+};
 
-    // Send the file
-    res.download(outputPath, `${outputFilename}${outputExt}`, async (err) => {
-      // Cleanup
-      try {
-        await fs.unlink(inputPath);
-        await fs.unlink(outputPath);
-      } catch (cleanupErr) {
-        console.error('Cleanup error:', cleanupErr);
-      }
+// Move the files of a folder upload into a project folder. Their paths inside the
+// folder come in `paths`, in upload order, as browsers only send file names.
+const unpackFolder = async (files, paths, root) => {
+  let names;
+  try {
+    names = JSON.parse(paths);
+  } catch (error) {
+    throw validationError('paths', 'expected a JSON array of file paths');
+  }
+  if (!Array.isArray(names) || names.length !== files.length) {
+    throw validationError('paths', 'expected one path per uploaded file');
+  }
+  if (files.reduce((sum, file) => sum + file.size, 0) > MAX_PROJECT_SIZE) {
+    throw validationError('files', `larger than ${MAX_PROJECT_SIZE / 1024 / 1024}MB`);
+  }
 
-      if (err) {
-        console.error('Download error:', err);
-      }
-    });
+  // Skipped files are deleted with the rest of the request's uploads
+  const items = files
+    .map((file, index) => ({ file, entry: projectEntryName(names[index], 'paths') }))
+    .filter(({ entry }) => !PROJECT_JUNK.test(entry));
+  if (items.length === 0) {
+    throw validationError('files', 'the folder holds no files');
+  }
 
-  } catch (error) {
-    console.error('Conversion error:', error);
-    res.status(500).json({ error: error.message });
+  const prefix = commonFolder(items.map(({ entry }) => entry));
+  const entries = [];
+  for (const { file, entry } of items) {
+    const name = entry.slice(prefix.length);
+    if (entries.includes(name)) {
+      throw validationError('paths', `"${name}" is given twice`);
+    }
+    const target = projectPath(root, name);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(file.path, target);
+    entries.push(name);
   }
-});
+  return entries;
+};
 
-// Batch conversion endpoint
-app.post('/api/convert-batch', upload.array('files', 50), async (req, res) => {
+// Find the project and entry documents a conversion request refers to
+const parseProjectRequest = async (body) => {
+  const project = projects.get(body.project);
+  if (!project) {
+    throw Object.assign(new Error('Project not found'), { status: 404 });
+  }
+  if (!(await fileExists(project.dir))) {
+    projects.delete(project.id);
+    throw Object.assign(new Error('The project files have been removed'), { status: 410 });
+  }
+
+  let entries;
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
+    entries = JSON.parse(body.entries || '[]');
+  } catch (error) {
+    throw validationError('entries', 'expected a JSON array of document paths');
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw validationError('entries', 'choose at least one document');
+  }
+  for (const entry of entries) {
+    if (!project.files.includes(entry)) {
+      throw validationError('entries', `"${entry}" is not in the project`);
     }
+  }
+
+  return { project, files: entries.map(entry => projectFile(project.dir, entry)) };
+};
 
-    const { fromFormat, toFormat, options } = req.body;
-    const parsedOptions = options ? JSON.parse(options) : {};
+// Build the Pandoc arguments for an HTML preview written to stdout. Schema options
+// are applied as for HTML output so TOC, numbering and citations show up; math is
+// rendered as MathML and images are embedded so the fragment needs no other requests.
+const buildPreviewArgs = (inputPath, fromFormat, options = {}, attachments = NO_ATTACHMENTS, mediaDir = null) => {
+  const features = pandocFeatures();
+  const args = [inputPath, '-f', fromFormat, '-t', 'html', `--template=${PREVIEW_TEMPLATE}`, '--mathml', '--preserve-tabs'];
 
-    const conversions = [];
-    const timestamp = Date.now();
+  if (mediaDir) {
+    args.push(`--extract-media=${mediaDir}`);
+  }
+  args.push(features.embedResources ? '--embed-resources' : '--self-contained');
 
-    // Convert all files
-    for (const file of req.files) {
-      const inputPath = file.path;
-      const outputFilename = path.parse(file.originalname).name;
-      const outputExt = getOutputExtension(toFormat);
-      const outputPath = path.join('downloads', `${outputFilename}-${timestamp}${outputExt}`);
+  if (features.smartFlag) {
+    args.push('--smart');
+  }
 
-      try {
-        await convertFile(inputPath, outputPath, fromFormat, toFormat, parsedOptions);
-        conversions.push({
-          original: file.originalname,
-          converted: path.basename(outputPath),
-          path: outputPath,
-          success: true
-        });
-      } catch (error) {
-        conversions.push({
-          original: file.originalname,
-          error: error.message,
-          success: false
-        });
-      }
+  if (attachments.metadataFile) {
+    args.push(`--metadata-file=${attachments.metadataFile}`);
+  }
+
+  const resolved = { ...optionDefaults(), ...options };
+  for (const [name, spec] of Object.entries(OPTION_SCHEMA)) {
+    if (spec.preview === false || (spec.formats && !spec.formats.includes('html'))) continue;
+    args.push(...spec.args(resolved[name], resolved, { toFormat: 'html', attachments }));
+  }
+
+  return args;
+};
+
+// MathML elements and attributes Pandoc's --mathml writer produces
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mo', 'mn', 'ms', 'mtext', 'mspace',
+  'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover',
+  'mtable', 'mtr', 'mtd', 'mstyle', 'mpadded', 'mphantom', 'menclose'
+];
+const MATHML_ATTRIBUTES = [
+  'display', 'xmlns', 'mathvariant', 'stretchy', 'fence', 'form', 'accent', 'accentunder',
+  'lspace', 'rspace', 'columnalign', 'rowalign', 'encoding', 'separator', 'linethickness',
+  'width', 'height', 'depth', 'notation', 'displaystyle', 'scriptlevel'
+];
+
+// What survives sanitizing: document structure, tables, figures, footnotes and
+// MathML, with scripts, styles, event handlers and remote frames stripped
+const PREVIEW_SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'del', 'ins',
+    ...MATHML_TAGS
+  ],
+  allowedAttributes: {
+    '*': ['id', 'class', 'title', 'lang', 'dir', 'role'],
+    a: ['href', 'name'],
+    img: ['src', 'alt', 'width', 'height'],
+    ol: ['start', 'type'],
+    li: ['value'],
+    td: ['colspan', 'rowspan', 'style'],
+    th: ['colspan', 'rowspan', 'style'],
+    col: ['style', 'span'],
+    ...Object.fromEntries(MATHML_TAGS.map(tag => [tag, MATHML_ATTRIBUTES]))
+  },
+  allowedStyles: {
+    '*': {
+      'text-align': [/^(left|right|center|justify)$/],
+      width: [/^\d+(\.\d+)?%$/]
     }
+  },
+  // Images are embedded by Pandoc as data URIs
+  allowedSchemesByTag: { img: ['data', 'http', 'https'] }
+};
 
-    // Create ZIP file with proper Promise handling
-    const zipPath = path.join('downloads', `converted-${timestamp}.zip`);
+// Render a document to a sanitized HTML fragment for the preview pane
+const previewFile = (inputPath, fromFormat, options, { submission, attachments } = {}) => {
+  return withPandocSlot(submission, async () => {
+    // Media from DOCX, ODT and EPUB input is extracted to a private directory, then embedded
+    const mediaDir = MEDIA_INPUT_FORMATS.includes(formatBase(fromFormat))
+      ? path.join('uploads', `preview-${crypto.randomBytes(8).toString('hex')}`)
+      : null;
 
-    await new Promise((resolve, reject) => {
-      const output = require('fs').createWriteStream(zipPath);
-      const archive = archiver('zip', { zlib: { level: 9 } });
+    try {
+      const args = buildPreviewArgs(inputPath, fromFormat, options, attachments, mediaDir);
+      const { output, stderr } = await runPandocOutput(args, submission);
+      const warnings = parseWarnings(stderr);
+      return {
+        html: sanitizeHtml(output, PREVIEW_SANITIZE_OPTIONS),
+        warnings,
+        missingCitations: parseMissingCitations(warnings)
+      };
+    } finally {
+      await removeMedia(mediaDir);
+    }
+  });
+};
 
-      output.on('close', () => {
-        console.log(`ZIP created: ${archive.pointer()} total bytes`);
-        resolve();
-      });
+// Identify the kind of reference document from its packaged parts
+const detectTemplateFormat = (zip) => {
+  if (zip.getEntry('word/document.xml')) return 'docx';
+  if (zip.getEntry('ppt/presentation.xml')) return 'pptx';
+  const mimetype = zip.getEntry('mimetype');
+  if (mimetype && mimetype.getData().toString('utf8').trim() === 'application/vnd.oasis.opendocument.text') {
+    return 'odt';
+  }
+  return null;
+};
 
-      archive.on('error', (err) => {
-        reject(err);
-      });
+// Read a text entry of a ZIP package, or an empty string when missing
+const readZipText = (zip, name) => {
+  const entry = zip.getEntry(name);
+  return entry ? entry.getData().toString('utf8') : '';
+};
 
-      output.on('error', (err) => {
-        reject(err);
-      });
+// First text content of an XML element, matched by qualified name
+const xmlText = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+  return match ? match[1].trim() : null;
+};
 
-      archive.pipe(output);
+// All values of an attribute on elements with the given qualified name
+const xmlAttributes = (xml, tag, attribute) => {
+  const pattern = new RegExp(`<${tag}\\s[^>]*?${attribute}="([^"]*)"`, 'g');
+  return [...new Set([...xml.matchAll(pattern)].map(match => match[1]))];
+};
 
-      // Add successful conversions to ZIP
-      for (const conv of conversions) {
-        if (conv.success && conv.path) {
-          archive.file(conv.path, { name: conv.converted });
-        }
-      }
+// Summarize the document properties, styles and fonts of a reference document
+const readTemplateMetadata = (filePath, format) => {
+  const zip = new AdmZip(filePath);
 
-      archive.finalize();
-    });
+  if (format === 'odt') {
+    const meta = readZipText(zip, 'meta.xml');
+    const styles = readZipText(zip, 'styles.xml');
+    return {
+      title: xmlText(meta, 'dc:title'),
+      author: xmlText(meta, 'meta:initial-creator') || xmlText(meta, 'dc:creator'),
+      modified: xmlText(meta, 'dc:date'),
+      application: xmlText(meta, 'meta:generator'),
+      styles: xmlAttributes(styles, 'style:style', 'style:name'),
+      fonts: xmlAttributes(styles, 'style:font-face', 'style:name')
+    };
+  }
 
-    // Send the ZIP file
-    res.download(zipPath, `converted-documents.zip`, async (err) => {
-      // Cleanup
-      try {
-        for (const file of req.files) {
-          await fs.unlink(file.path);
-        }
-        for (const conv of conversions) {
-          if (conv.success && conv.path) {
-            await fs.unlink(conv.path);
-          }
-        }
-        await fs.unlink(zipPath);
-      } catch (cleanupErr) {
-        console.error('Cleanup error:', cleanupErr);
-      }
+  const core = readZipText(zip, 'docProps/core.xml');
+  const app = readZipText(zip, 'docProps/app.xml');
+  const metadata = {
+    title: xmlText(core, 'dc:title'),
+    author: xmlText(core, 'dc:creator'),
+    modified: xmlText(core, 'dcterms:modified'),
+    application: xmlText(app, 'Application')
+  };
 
-      if (err) {
-        console.error('Download error:', err);
-      }
-    });
+  if (format === 'pptx') {
+    const layouts = zip.getEntries()
+      .filter(entry => /^ppt\/slideLayouts\/slideLayout\d+\.xml$/.test(entry.entryName))
+      .map(entry => xmlAttributes(entry.getData().toString('utf8'), 'p:cSld', 'name')[0])
+      .filter(Boolean);
+    return { ...metadata, styles: layouts, fonts: xmlAttributes(readZipText(zip, 'ppt/theme/theme1.xml'), 'a:latin', 'typeface') };
+  }
+
+  return {
+    ...metadata,
+    styles: xmlAttributes(readZipText(zip, 'word/styles.xml'), 'w:name', 'w:val'),
+    fonts: xmlAttributes(readZipText(zip, 'word/fontTable.xml'), 'w:font', 'w:name')
+  };
+};
 
+// Store an uploaded reference document in the template library
+const addTemplate = async (file, name) => {
+  let zip;
+  try {
+    zip = new AdmZip(file.path);
   } catch (error) {
-    console.error('Batch conversion error:', error);
-    res.status(500).json({ error: error.message });
+    throw validationError('template', 'not a DOCX, ODT or PPTX file');
+  }
+
+  const format = detectTemplateFormat(zip);
+  if (!format) {
+    throw validationError('template', 'not a DOCX, ODT or PPTX file');
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const template = {
+    id,
+    name: (name || path.parse(file.originalname).name).trim(),
+    format,
+    filename: `${id}.${format}`,
+    originalName: file.originalname,
+    size: file.size,
+    uploadedAt: new Date().toISOString()
+  };
+
+  await fs.rename(file.path, templatePath(template));
+  templates.set(id, template);
+  await saveIndex(TEMPLATES_INDEX, templates);
+  return template;
+};
+
+// File extensions accepted for each kind of style
+const STYLE_KINDS = {
+  css: ['.css'],
+  template: ['.html', '.htm', '.html5', '.tpl']
+};
+
+// Largest stylesheet or template accepted
+const MAX_STYLE_SIZE = 1024 * 1024; // 1MB
+
+// Store an uploaded stylesheet or HTML template in the style library
+const addStyle = async (file, name) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  const kind = Object.keys(STYLE_KINDS).find(key => STYLE_KINDS[key].includes(ext));
+  if (!kind) {
+    throw validationError('style', 'expected a .css stylesheet or an .html template');
+  }
+  if (file.size > MAX_STYLE_SIZE) {
+    throw validationError('style', 'file is larger than 1MB');
+  }
+
+  const content = await fs.readFile(file.path);
+  if (content.includes(0)) {
+    throw validationError('style', 'not a text file');
+  }
+  if (kind === 'template' && !content.toString('utf8').includes('$body$')) {
+    throw validationError('style', 'HTML templates must include the $body$ variable');
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const style = {
+    id,
+    name: (name || path.parse(file.originalname).name).trim(),
+    kind,
+    filename: `${id}${kind === 'css' ? '.css' : '.html'}`,
+    originalName: file.originalname,
+    size: file.size,
+    uploadedAt: new Date().toISOString()
+  };
+
+  await fs.rename(file.path, stylePath(style));
+  styles.set(id, style);
+  await saveIndex(STYLES_INDEX, styles);
+  return style;
+};
+
+// Largest Lua filter accepted
+const MAX_FILTER_SIZE = 1024 * 1024; // 1MB
+
+// Store an uploaded Lua filter in the filter registry
+const addFilter = async (file, name, description) => {
+  if (path.extname(file.originalname).toLowerCase() !== '.lua') {
+    throw validationError('filter', 'expected a .lua file');
+  }
+  if (file.size > MAX_FILTER_SIZE) {
+    throw validationError('filter', 'file is larger than 1MB');
   }
+
+  const content = await fs.readFile(file.path);
+  if (content.includes(0)) {
+    throw validationError('filter', 'not a text file');
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const filter = {
+    id,
+    name: (name || path.parse(file.originalname).name).trim(),
+    description: (description || '').trim(),
+    filename: `${id}.lua`,
+    originalName: file.originalname,
+    size: file.size,
+    uploadedAt: new Date().toISOString()
+  };
+
+  await fs.rename(file.path, filterPath(filter));
+  filters.set(id, filter);
+  await saveIndex(FILTERS_INDEX, filters);
+  return filter;
+};
+
+// Conversion presets by id, persisted in PRESETS_INDEX
+const presets = new Map();
+
+// Store a validated preset, replacing any preset of the same name
+const savePreset = async (settings) => {
+  const now = new Date().toISOString();
+  const existing = [...presets.values()].find(preset => preset.name === settings.name);
+  const preset = existing
+    ? { ...existing, ...settings, updatedAt: now }
+    : { id: crypto.randomBytes(8).toString('hex'), ...settings, createdAt: now, updatedAt: now };
+
+  presets.set(preset.id, preset);
+  await saveIndex(PRESETS_INDEX, presets);
+  return { preset, replaced: Boolean(existing) };
+};
+
+// Portable form of presets, without ids or timestamps
+const exportPresets = (list) => ({
+  version: PRESET_FILE_VERSION,
+  presets: list.map(({ name, fromFormat, toFormats, groupBy, options }) => ({ name, fromFormat, toFormats, groupBy, options }))
+});
+
+// Conversion jobs, kept in memory for a while after they finish. Their files stay
+// behind for the conversion history until the retention sweep removes them.
+const jobs = new Map();
+const JOB_TTL = 60 * 60 * 1000; // 1 hour
+const FINISHED_JOB_STATUSES = ['done', 'failed', 'cancelled'];
+const FINISHED_FILE_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Public view of a job, sent to polling and SSE clients, with its download URL under
+// the API it was asked for through
+const summarizeJob = (job, prefix = '/api') => ({
+  id: job.id,
+  status: job.status,
+  toFormats: job.toFormats,
+  groupBy: job.groupBy,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  total: job.files.length,
+  completed: job.files.filter(file => FINISHED_FILE_STATUSES.includes(file.status)).length,
+  files: job.files.map(summarizeOutput),
+  combined: job.combined ? job.combined.map(summarizeOutput) : null,
+  downloadUrl: job.status === 'done' ? `${prefix}/jobs/${job.id}/download` : null
 });
 
-// Helper function to get output extension
-const getOutputExtension = (format) => {
-  const extensions = {
-    markdown: '.md',
-    html: '.html',
-    docx: '.docx',
-    odt: '.odt',
-    epub: '.epub',
-    pdf: '.pdf',
-    latex: '.tex',
-    rst: '.rst',
-    textile: '.textile',
-    org: '.org',
-    mediawiki: '.wiki',
-    rtf: '.rtf',
-    plain: '.txt',
-    json: '.json'
+// Push the current job state to every SSE subscriber
+const notifyJob = (job) => {
+  const payload = `data: ${JSON.stringify(summarizeJob(job))}\n\n`;
+  const finished = FINISHED_JOB_STATUSES.includes(job.status);
+  for (const subscriber of job.subscribers) {
+    subscriber.write(payload);
+    if (finished) {
+      subscriber.end();
+    }
+  }
+  if (finished) {
+    job.subscribers.clear();
+  }
+};
+
+// The file a finished job delivers and its download name: the ZIP, or the only output
+const jobResult = (job) => {
+  if (job.zipPath) {
+    return { path: job.zipPath, name: job.zipName };
+  }
+  const [first] = jobOutputs(job);
+  return { path: first.outputPath, name: first.downloadName };
+};
+
+// Register a job (see createJob in lib/jobs.js) whose progress is pushed to SSE subscribers.
+// Jobs submitted with an API key belong to its owner, and a webhook ({ url, secret,
+// baseUrl }) is told when the job finishes.
+const createJob = (files, fromFormats, toFormats, options, { owner = null, webhook = null, ...settings } = {}) => {
+  const job = Object.assign(createConversionJob(files, fromFormats, toFormats, options, { ...settings, onProgress: notifyJob }), {
+    owner,
+    webhook,
+    subscribers: new Set(),
+    expiryTimer: null
+  });
+  jobs.set(job.id, job);
+  return job;
+};
+
+// Finished jobs by id, newest last, persisted in HISTORY_INDEX
+const history = new Map();
+const MAX_HISTORY = 100;
+// Writes of the history index, one at a time since jobs finish concurrently
+let historySaved = Promise.resolve();
+
+// Record a finished job in the history, with what is needed to download or run it again
+const recordHistory = (job) => {
+  const sources = job.files.filter((file, index) => job.files.findIndex(other => other.source === file.source) === index);
+  const result = job.status === 'done' ? jobResult(job) : null;
+
+  history.set(job.id, {
+    id: job.id,
+    owner: job.owner,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    duration: job.finishedAt - job.createdAt,
+    files: sources.map(file => ({ name: file.original, fromFormat: file.fromFormat, inputPath: file.inputPath })),
+    toFormats: job.toFormats,
+    groupBy: job.groupBy,
+    separator: job.separator,
+    options: job.options,
+    attachments: job.attachments,
+    outputs: jobOutputs(job).map(summarizeOutput),
+    resultPath: result ? result.path : null,
+    resultName: result ? result.name : null
+  });
+
+  // The oldest entries drop out; their files are left to the retention sweep
+  for (const id of history.keys()) {
+    if (history.size <= MAX_HISTORY) break;
+    history.delete(id);
+  }
+
+  historySaved = historySaved
+    .then(() => saveIndex(HISTORY_INDEX, history))
+    .catch(err => console.error('Error saving history:', err));
+  return historySaved;
+};
+
+// Whether a file is still on disk
+const fileExists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+// Public view of a history entry, with links for what the retention sweep has left
+const summarizeHistory = async (entry) => {
+  const inputs = [...entry.files.map(file => file.inputPath), ...attachmentPaths(entry.attachments)];
+  const downloadable = entry.resultPath !== null && await fileExists(entry.resultPath);
+  const rerunnable = (await Promise.all(inputs.map(fileExists))).every(Boolean);
+
+  return {
+    id: entry.id,
+    status: entry.status,
+    createdAt: entry.createdAt,
+    finishedAt: entry.finishedAt,
+    duration: entry.duration,
+    files: entry.files.map(({ name, fromFormat }) => ({ name, fromFormat })),
+    toFormats: entry.toFormats,
+    groupBy: entry.groupBy,
+    separator: entry.separator,
+    options: entry.options,
+    outputs: entry.outputs,
+    downloadUrl: downloadable ? `/api/history/${entry.id}/download` : null,
+    rerunnable
   };
-  return extensions[format] || '.txt';
 };
 
-// Start server
-const startServer = async () => {
-  await ensureDirectories();
+// Copy a retained upload to a fresh path in uploads/, so a new job owns its own inputs
+const copyUpload = async (filePath, name) => {
+  const copyPath = path.join('uploads', `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${name}`);
+  await fs.copyFile(filePath, copyPath);
+  return copyPath;
+};
 
-  try {
-    const version = await checkPandoc();
-    console.log('Pandoc detected:', version.split('\n')[0]);
-  } catch (error) {
-    console.warn('WARNING:', error.message);
-    console.warn('Please install Pandoc from https://pandoc.org/installing.html');
+// Copy the attachments of an earlier conversion for a new job
+const copyAttachments = async ({ bibliographies, csl, includeInHeader, includeAfterBody, metadataFile, resourceDir }) => {
+  const copy = (filePath) => (filePath ? copyUpload(filePath, path.basename(filePath)) : null);
+  let resourceCopy = null;
+  if (resourceDir) {
+    resourceCopy = path.join('uploads', `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-resources`);
+    await fs.cp(resourceDir, resourceCopy, { recursive: true });
+  }
+
+  return {
+    bibliographies: await Promise.all(bibliographies.map(copy)),
+    csl: await copy(csl),
+    includeInHeader: await copy(includeInHeader),
+    includeAfterBody: await copy(includeAfterBody),
+    metadataFile: await copy(metadataFile),
+    resourceDir: resourceCopy
+  };
+};
+
+// Start a new job with the files and settings of a history entry. Options are
+// validated again, since library items they refer to may have been deleted since.
+const rerunHistory = async (entry, owner) => {
+  const options = normalizeOptions(entry.options, entry.toFormats);
+  const attachments = await copyAttachments(entry.attachments);
+  // Entry documents of a project are taken from the copied project folder
+  const projectEntry = (file) => {
+    const { resourceDir } = entry.attachments;
+    const entryPath = resourceDir ? path.relative(resourceDir, file.inputPath) : '';
+    return entryPath && !entryPath.startsWith('..') && !path.isAbsolute(entryPath) ? entryPath.split(path.sep).join('/') : null;
+  };
+  const files = await Promise.all(entry.files.map(async (file) => {
+    const entryPath = projectEntry(file);
+    if (entryPath) {
+      return projectFile(attachments.resourceDir, entryPath);
+    }
+    return { originalname: file.name, path: await copyUpload(file.inputPath, file.name) };
+  }));
+
+  const job = createJob(files, entry.files.map(file => file.fromFormat), entry.toFormats, options, {
+    attachments,
+    combine: entry.separator ? { separator: entry.separator } : null,
+    groupBy: entry.groupBy,
+    owner
+  });
+  runJob(job).catch(error => console.error('Job error:', error));
+  return job;
+};
+
+// Files and folders younger than this are never removed to make space,
+// as they may belong to a conversion that is still running
+const SWEEP_GRACE = 60 * 60 * 1000; // 1 hour
+
+// Total size of the files in a folder and its subfolders
+const directorySize = async (dir) => {
+  let size = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    size += entry.isDirectory() ? await directorySize(entryPath) : (await fs.stat(entryPath)).size;
+  }
+  return size;
+};
+
+// Files and folders directly inside a directory, oldest first, with their size.
+// Folders of extracted images count as one item.
+const sweepCandidates = async (dir) => {
+  const items = [];
+  for (const name of await fs.readdir(dir)) {
+    const itemPath = path.join(dir, name);
+    try {
+      const stat = await fs.stat(itemPath);
+      const size = stat.isDirectory() ? await directorySize(itemPath) : stat.size;
+      items.push({ path: itemPath, name, modified: stat.mtimeMs, size });
+    } catch (err) {
+      // Removed while the directory was being read
+      if (err.code !== 'ENOENT') throw err;
+    }
   }
+  return items.sort((a, b) => a.modified - b.modified);
+};
+
+// Test for files that jobs still being converted depend on. Inputs keep their
+// upload names; everything a job writes has the job id in its name.
+const inUseByJobs = () => {
+  const active = [...jobs.values()].filter(job => !FINISHED_JOB_STATUSES.includes(job.status));
+  const inputs = new Set(active.flatMap(job => [
+    ...job.files.map(file => file.inputPath),
+    ...attachmentPaths(job.attachments)
+  ]).map(filePath => path.normalize(filePath)));
+
+  return (item) => inputs.has(path.normalize(item.path)) || active.some(job => item.name.includes(job.id));
+};
+
+// Remove files past the maximum age, then the oldest files until the directory fits its quota
+const sweepDirectory = async (dir, inUse) => {
+  const now = Date.now();
+  const items = await sweepCandidates(dir);
+  let total = items.reduce((sum, item) => sum + item.size, 0);
+  let removed = 0;
+
+  for (const item of items) {
+    if (inUse(item)) continue;
+    const age = now - item.modified;
+    const expired = age > RETENTION_MAX_AGE;
+    const overQuota = total > RETENTION_MAX_SIZE && age > SWEEP_GRACE;
+    if (!expired && !overQuota) continue;
+
+    await fs.rm(item.path, { recursive: true, force: true });
+    total -= item.size;
+    removed++;
+  }
+  return removed;
+};
+
+// Enforce the retention policy on uploads/ and downloads/. This also clears
+// files left behind by requests that crashed or were never downloaded.
+let sweeping = false;
+const sweepStorage = async () => {
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    const inUse = inUseByJobs();
+    for (const dir of ['uploads', 'downloads']) {
+      const removed = await sweepDirectory(dir, inUse);
+      if (removed > 0) {
+        console.log(`Retention: removed ${removed} old item(s) from ${dir}/`);
+      }
+    }
+    // Projects whose folder was swept can no longer be converted
+    for (const project of projects.values()) {
+      if (!(await fileExists(project.dir))) {
+        projects.delete(project.id);
+      }
+    }
+  } catch (error) {
+    console.error('Retention sweep error:', error);
+  } finally {
+    sweeping = false;
+  }
+};
+
+// Convert the files of a job in the background
+const runJob = async (job) => {
+  job.status = 'running';
+  notifyJob(job);
+
+  await convertJob(job);
+
+  const outputs = jobOutputs(job);
+  const converted = outputs.filter(file => file.status === 'done');
+
+  try {
+    if (job.submission.cancelled) {
+      job.status = 'cancelled';
+    } else if (converted.length === 0) {
+      job.status = 'failed';
+    } else {
+      await packageJob(job, converted);
+      job.status = 'done';
+    }
+  } catch (error) {
+    console.error('Job packaging error:', error);
+    job.status = 'failed';
+  }
+
+  job.finishedAt = Date.now();
+  notifyJob(job);
+
+  // Extracted images and outputs delivered in the ZIP are packaged by now, and a job
+  // that did not finish has nothing to deliver. Inputs stay so the job can be run again.
+  for (const mediaDir of new Set(outputs.map(file => file.mediaDir))) {
+    removeMedia(mediaDir).catch(() => {});
+  }
+  if (job.zipPath || job.status !== 'done') {
+    for (const file of outputs) {
+      fs.unlink(file.outputPath).catch(() => {});
+    }
+  }
+
+  await recordHistory(job);
+  if (job.webhook) {
+    sendJobWebhook(job);
+  }
+
+  job.expiryTimer = setTimeout(() => jobs.delete(job.id), JOB_TTL);
+  job.expiryTimer.unref();
+};
+
+// Webhook deliveries, newest first: one per finished job with a callback URL, with
+// every attempt to deliver it. Kept in memory, so retries stop when the server does.
+const webhookDeliveries = [];
+const MAX_WEBHOOK_DELIVERIES = 500;
+const WEBHOOK_TIMEOUT = 10 * 1000; // 10 seconds per attempt
+
+// Signs download links. Without WEBHOOK_SECRET links stop working when the server restarts.
+const LINK_SECRET = WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Hex HMAC-SHA256 of a message
+const hmac = (secret, message) => crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+// Check a hex signature without giving away how much of it matched
+const signatureMatches = (signature, expected) => (
+  typeof signature === 'string'
+  && signature.length === expected.length
+  && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+);
+
+// Check the callback URL of a job submission. Returns null when none is given.
+const parseCallbackUrl = (value, secret) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (WEBHOOK_ALLOWED_HOSTS.length === 0 || !secret) {
+    throw validationError('callbackUrl', 'webhooks are turned off on this server (see WEBHOOK_ALLOWED_HOSTS and WEBHOOK_SECRET)');
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw validationError('callbackUrl', 'not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw validationError('callbackUrl', 'only http and https URLs are supported');
+  }
+  if (!hostAllowed(url.hostname.toLowerCase(), WEBHOOK_ALLOWED_HOSTS)) {
+    throw validationError('callbackUrl', `host ${url.hostname} is not on the allowlist`);
+  }
+  return url.href;
+};
+
+// Link to a finished job's result that works without an API key until it expires
+const signedResultLink = (job) => {
+  const expires = Date.now() + WEBHOOK_LINK_TTL;
+  const signature = hmac(LINK_SECRET, `${job.id}.${expires}`);
+  return {
+    url: `${job.webhook.baseUrl}/api/results/${job.id}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires).toISOString()
+  };
+};
+
+// What the delivery log shows of a delivery
+const summarizeDelivery = (delivery) => ({
+  id: delivery.id,
+  jobId: delivery.jobId,
+  url: delivery.url,
+  event: delivery.event,
+  status: delivery.status,
+  createdAt: delivery.createdAt,
+  nextAttemptAt: delivery.nextAttemptAt,
+  attempts: delivery.attempts
+});
+
+// POST a delivery's payload once, signed over the timestamp and body. Any answer but
+// a 2xx, redirects included, counts as a failure.
+const attemptDelivery = async (delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, duration: null };
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'pandoc-gui-webhook',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${hmac(delivery.secret, `${timestamp}.${delivery.body}`)}`
+      },
+      body: delivery.body
+    });
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `Answered with status ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.cause ? error.cause.message : error.message;
+  }
+
+  attempt.duration = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  return !attempt.error;
+};
+
+// Deliver a webhook, retrying with a doubling wait until it is taken or attempts run out
+const deliverWebhook = async (delivery) => {
+  delivery.nextAttemptAt = null;
+  if (await attemptDelivery(delivery)) {
+    delivery.status = 'delivered';
+    return;
+  }
+  if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    console.error(`Webhook ${delivery.id} for job ${delivery.jobId} failed after ${delivery.attempts.length} attempts`);
+    return;
+  }
+
+  const delay = WEBHOOK_RETRY_DELAY * 2 ** (delivery.attempts.length - 1);
+  delivery.status = 'retrying';
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => {
+    deliverWebhook(delivery).catch(error => console.error('Webhook error:', error));
+  }, delay).unref();
+};
+
+// Tell a finished job's webhook the outcome, with a time-limited link to the result
+const sendJobWebhook = (job) => {
+  const delivery = {
+    id: crypto.randomBytes(8).toString('hex'),
+    jobId: job.id,
+    owner: job.owner,
+    url: job.webhook.url,
+    secret: job.webhook.secret,
+    event: 'job.finished',
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    attempts: []
+  };
+  // The receiver downloads with the signed link rather than the job's own URL
+  const { downloadUrl, ...summary } = summarizeJob(job);
+  const outputs = jobOutputs(job);
+  delivery.body = JSON.stringify({
+    event: delivery.event,
+    deliveryId: delivery.id,
+    job: {
+      ...summary,
+      succeeded: outputs.filter(file => file.status === 'done').length,
+      failed: outputs.filter(file => file.status !== 'done').length
+    },
+    download: job.status === 'done' ? signedResultLink(job) : null
+  });
+
+  webhookDeliveries.unshift(delivery);
+  webhookDeliveries.splice(MAX_WEBHOOK_DELIVERIES);
+  deliverWebhook(delivery).catch(error => console.error('Webhook error:', error));
+};
+
+// Keys of the versioned API by the SHA-256 hash of the key, with their limits and usage
+const apiKeys = new Map();
+const MAX_API_KEY_NAME = 100;
+const MIN_API_KEY_LENGTH = 16;
+const API_RATE_WINDOW = 60 * 1000; // 1 minute
+
+// Hash under which a key is looked up, so keys are not compared character by character
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Check an entry of the API keys file and give it empty usage counters
+const apiKeySettings = (entry, index) => {
+  const field = `keys[${index}]`;
+  if (typeof entry !== 'object' || entry === null) {
+    throw validationError(field, 'expected an object');
+  }
+  const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+  if (!name || name.length > MAX_API_KEY_NAME) {
+    throw validationError(`${field}.name`, `expected a name of 1 to ${MAX_API_KEY_NAME} characters`);
+  }
+  if (typeof entry.key !== 'string' || entry.key.length < MIN_API_KEY_LENGTH) {
+    throw validationError(`${field}.key`, `expected a key of at least ${MIN_API_KEY_LENGTH} characters`);
+  }
+  for (const limit of ['rateLimit', 'uploadQuota']) {
+    if (entry[limit] !== undefined && !(Number.isInteger(entry[limit]) && entry[limit] > 0)) {
+      throw validationError(`${field}.${limit}`, 'expected a positive integer');
+    }
+  }
+  if (entry.webhookSecret !== undefined && (typeof entry.webhookSecret !== 'string' || entry.webhookSecret.length < MIN_API_KEY_LENGTH)) {
+    throw validationError(`${field}.webhookSecret`, `expected a secret of at least ${MIN_API_KEY_LENGTH} characters`);
+  }
+
+  return {
+    name,
+    hash: hashApiKey(entry.key),
+    rateLimit: entry.rateLimit || API_RATE_LIMIT,
+    uploadQuota: (entry.uploadQuota || API_UPLOAD_QUOTA) * 1024 * 1024,
+    webhookSecret: entry.webhookSecret || WEBHOOK_SECRET,
+    windowStart: 0,
+    requests: 0,
+    quotaDay: null,
+    uploaded: 0
+  };
+};
+
+// Read the API keys file. Invalid entries are reported and left out; the others still work.
+const loadApiKeys = async () => {
+  if (!API_KEYS_FILE) return;
+
+  let list;
+  try {
+    const config = JSON.parse(await fs.readFile(API_KEYS_FILE, 'utf8'));
+    list = Array.isArray(config) ? config : config.keys;
+    if (!Array.isArray(list)) {
+      throw new Error(`${API_KEYS_FILE}: expected a "keys" array`);
+    }
+  } catch (error) {
+    console.error('API keys error:', error.message);
+    return;
+  }
+
+  for (const [index, entry] of list.entries()) {
+    try {
+      const client = apiKeySettings(entry, index);
+      if (apiKeys.has(client.hash)) {
+        throw validationError(`keys[${index}].key`, 'already used by another entry');
+      }
+      apiKeys.set(client.hash, client);
+    } catch (error) {
+      console.error('API keys error:', error.message);
+    }
+  }
+  console.log(`API keys loaded: ${apiKeys.size}`);
+};
+
+// Key sent with a request, as a bearer token or in the X-API-Key header
+const requestApiKey = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : req.get('X-API-Key') || null;
+};
+
+// Let through requests with a known API key, remembering whose it is
+const authenticateApiKey = (req, res, next) => {
+  if (apiKeys.size === 0) {
+    return res.status(404).json({ error: 'The API is not enabled on this server' });
+  }
+
+  const key = requestApiKey(req);
+  const client = key ? apiKeys.get(hashApiKey(key)) : null;
+  if (!client) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: key ? 'Unknown API key' : 'Missing API key' });
+  }
+  req.apiClient = client;
+  next();
+};
+
+// Name of the key a request was sent with, or null for the bundled page and keyless servers
+const requester = (req) => (req.apiClient ? req.apiClient.name : null);
+
+// Whether a job, history entry or webhook delivery belongs to whoever sent the request.
+// Entries recorded before jobs had owners count as the page's.
+const ownedByRequester = (req, item) => (item.owner || null) === requester(req);
+
+// Usage counts of the page's sessions by client address, with the default limits.
+// Sessions cost nothing to get, so they are counted per address rather than per cookie.
+const pageClients = new Map();
+let pageClientsDay = null;
+
+// Usage counts a request is charged to: its key, or the address of a page session
+const usageClient = (req) => {
+  if (req.apiClient) return req.apiClient;
+
+  const today = new Date().toISOString().slice(0, 10);
+  if (pageClientsDay !== today) {
+    pageClientsDay = today;
+    pageClients.clear();
+  }
+  if (!pageClients.has(req.ip)) {
+    pageClients.set(req.ip, {
+      rateLimit: API_RATE_LIMIT,
+      uploadQuota: API_UPLOAD_QUOTA * 1024 * 1024,
+      windowStart: 0,
+      requests: 0,
+      quotaDay: null,
+      uploaded: 0
+    });
+  }
+  return pageClients.get(req.ip);
+};
+
+// Count a request against the limit of its key (or address) for the current minute
+const limitApiRate = (req, res, next) => {
+  const client = usageClient(req);
+  const now = Date.now();
+  if (now - client.windowStart >= API_RATE_WINDOW) {
+    client.windowStart = now;
+    client.requests = 0;
+  }
+
+  const reset = Math.ceil((client.windowStart + API_RATE_WINDOW - now) / 1000);
+  res.set({
+    'X-RateLimit-Limit': client.rateLimit,
+    'X-RateLimit-Remaining': Math.max(0, client.rateLimit - client.requests - 1),
+    'X-RateLimit-Reset': reset
+  });
+  if (client.requests >= client.rateLimit) {
+    res.set('Retry-After', reset);
+    return res.status(429).json({ error: `Rate limit of ${client.rateLimit} requests per minute reached` });
+  }
+  client.requests++;
+  next();
+};
+
+// Turn away uploads that would go beyond the quota of their key (or address) for the day
+// (UTC), judged by the size of the request before it is read. That size is set aside at once, so that
+// parallel uploads cannot all pass, and replaced by the size of the uploaded files when
+// the request is done. Bodies of unknown length (chunked) are refused.
+const checkUploadQuota = (req, res, next) => {
+  const client = usageClient(req);
+  const today = new Date().toISOString().slice(0, 10);
+  if (client.quotaDay !== today) {
+    client.quotaDay = today;
+    client.uploaded = 0;
+  }
+
+  if (req.get('Transfer-Encoding') && !req.get('Content-Length')) {
+    return res.status(411).json({ error: 'Uploads need a Content-Length header' });
+  }
+  const size = parseInt(req.get('Content-Length'), 10) || 0;
+  if (size > 0 && client.uploaded + size > client.uploadQuota) {
+    const midnight = new Date(`${today}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000;
+    res.set('Retry-After', Math.ceil((midnight - Date.now()) / 1000));
+    return res.status(429).json({ error: `Daily upload quota of ${client.uploadQuota / (1024 * 1024)}MB used up` });
+  }
+
+  client.uploaded += size;
+  res.once('close', () => {
+    // A reservation from the day before has already been reset
+    if (client.quotaDay !== today) return;
+    const uploaded = uploadedFiles(req).reduce((total, file) => total + file.size, 0);
+    client.uploaded = Math.max(0, client.uploaded - size + uploaded);
+  });
+  next();
+};
+
+// Session cookie the bundled page gets once API keys are set, so that it can keep using
+// the unversioned endpoints without a key. Signed with LINK_SECRET, valid for a day.
+// It only shows that a request comes from the page rather than another site: anyone can
+// load the page, so sessions are held to the default limits per address.
+const UI_SESSION_COOKIE = 'pandoc_gui_session';
+const UI_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// Value of a cookie sent with a request
+const requestCookie = (req, name) => {
+  const pair = (req.get('Cookie') || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return pair ? pair.slice(name.length + 1) : null;
+};
+
+// Whether a request carries an unexpired session cookie signed by this server
+const hasUiSession = (req) => {
+  const [expires, signature] = (requestCookie(req, UI_SESSION_COOKIE) || '').split('.');
+  return parseInt(expires, 10) > Date.now() && signatureMatches(signature, hmac(LINK_SECRET, `session.${expires}`));
+};
+
+// Hand out a session with the page itself. SameSite keeps other sites from using it.
+app.get(['/', '/index.html'], (req, res, next) => {
+  if (apiKeys.size > 0 && UI_SESSIONS) {
+    const expires = Date.now() + UI_SESSION_TTL;
+    res.cookie(UI_SESSION_COOKIE, `${expires}.${hmac(LINK_SECRET, `session.${expires}`)}`, {
+      httpOnly: true,
+      sameSite: 'strict',
+      maxAge: UI_SESSION_TTL
+    });
+  }
+  next();
+});
+app.use(express.static('public'));
+
+// Download a job's result with a signed link from a webhook, without an API key
+app.get('/api/results/:id', (req, res) => {
+  const expires = parseInt(req.query.expires, 10);
+  const expected = hmac(LINK_SECRET, `${req.params.id}.${req.query.expires}`);
+  if (!signatureMatches(req.query.signature, expected)) {
+    return res.status(403).json({ error: 'Invalid download link' });
+  }
+  if (!(expires > Date.now())) {
+    return res.status(410).json({ error: 'The download link has expired' });
+  }
+
+  const entry = history.get(req.params.id);
+  if (!entry || !entry.resultPath) {
+    return res.status(410).json({ error: 'The converted files have been removed' });
+  }
+  sendResult(res, entry.resultPath, entry.resultName);
+});
+
+// OpenAPI document of the versioned API, readable without a key
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+// The versioned API for other tools: the formats, options, conversion, job and webhook
+// endpoints under /api/v1, behind an API key. The bundled page keeps using the unversioned paths.
+app.use('/api/v1', authenticateApiKey, limitApiRate, checkUploadQuota);
+
+// Once API keys are set, the unversioned endpoints need the page's session or a key,
+// which then counts against the key's limits like the versioned API. Uploads and
+// conversions (POST requests) of a session count against the limits of its address.
+app.use('/api', (req, res, next) => {
+  if (apiKeys.size === 0 || req.path.startsWith('/v1/')) {
+    return next();
+  }
+  if (UI_SESSIONS && hasUiSession(req)) {
+    return req.method === 'POST' ? limitApiRate(req, res, () => checkUploadQuota(req, res, next)) : next();
+  }
+  authenticateApiKey(req, res, () => limitApiRate(req, res, () => checkUploadQuota(req, res, next)));
+});
+
+// API endpoint to check Pandoc availability and capabilities
+app.get('/api/check-pandoc', async (req, res) => {
+  try {
+    // Pandoc may have been installed since the server started
+    const capabilities = pandocInfo() || await detectPandoc();
+
+    const { versionLine, version, inputFormats, outputFormats, extensions, highlightStyles, features } = capabilities;
+    res.json({
+      available: true,
+      version: versionLine,
+      versionNumber: version,
+      inputFormats,
+      outputFormats,
+      extensions,
+      highlightStyles,
+      pdfEngines: availablePdfEngines().map(id => ({ id, ...PDF_ENGINES[id] })),
+      features
+    });
+  } catch (error) {
+    res.json({
+      available: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to get supported formats
+app.get(['/api/formats', '/api/v1/formats'], (req, res) => {
+  res.json(getFormatCatalog());
+});
+
+// API endpoint to describe the inputs accepted besides uploads: pasted text and URLs
+app.get('/api/inputs', (req, res) => {
+  res.json({
+    text: { maxSize: MAX_TEXT_INPUT },
+    url: { enabled: URL_ALLOWED_HOSTS.length > 0, allowedHosts: URL_ALLOWED_HOSTS, maxSize: URL_MAX_SIZE }
+  });
+});
+
+// API endpoint to describe the accepted conversion options
+app.get(['/api/options', '/api/v1/options'], (req, res) => {
+  const options = Object.entries(OPTION_SCHEMA).map(([name, spec]) => ({
+    name,
+    type: spec.type,
+    label: spec.label,
+    default: spec.default,
+    values: optionValues(spec),
+    requires: spec.requires,
+    min: spec.min,
+    max: spec.max,
+    formats: spec.formats || null,
+    engines: spec.engines || null,
+    fields: spec.type === 'metadata' ? METADATA_FIELDS : undefined
+  }));
+  res.json({ options });
+});
+
+// API endpoint to list the extensions of a format and whether each is on by default
+app.get('/api/extensions/:format', async (req, res) => {
+  const { format } = req.params;
+  const catalog = getFormatCatalog();
+  const known = [...catalog.input, ...catalog.output].some(f => f.value === format && f.supported);
+  if (!known || format === 'pdf') {
+    return res.status(404).json({ error: `No extensions for format "${format}"` });
+  }
+
+  const extensions = await formatExtensions(format);
+  res.json({
+    format,
+    extensions: Object.entries(extensions).map(([name, enabled]) => ({ name, enabled }))
+  });
+});
+
+// API endpoint to detect the input format of uploaded files
+app.post('/api/detect-format', upload.array('files', 50), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const results = [];
+    for (const file of req.files) {
+      const detection = await detectInputFormat(file.path, file.originalname);
+      results.push({ name: file.originalname, ...detection });
+    }
+
+    res.json({ files: results });
+  } catch (error) {
+    console.error('Detection error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    for (const file of req.files || []) {
+      fs.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+// Answer with the error's status, naming the offending field for validation errors
+const sendError = (res, error) => {
+  if (res.headersSent) return;
+  const body = { error: error.message };
+  if (error.field) {
+    body.field = error.field;
+  }
+  res.status(error.status || 500).json(body);
+};
+
+// All files uploaded with a request, whatever fields they came in
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// Delete the uploaded files of a request
+const discardUploads = (req) => {
+  for (const file of uploadedFiles(req)) {
+    fs.unlink(file.path).catch(() => {});
+  }
+};
+
+// Accept documents in one field plus optional bibliography, CSL, PDF include and metadata files
+const conversionUpload = (field, maxCount) => upload.fields([
+  { name: field, maxCount },
+  { name: 'bibliography', maxCount: 10 },
+  { name: 'csl', maxCount: 1 },
+  { name: 'includeInHeader', maxCount: 1 },
+  { name: 'includeAfterBody', maxCount: 1 },
+  { name: 'metadataFile', maxCount: 1 }
+]);
+
+// Documents uploaded in a field of a conversionUpload request
+const documentFiles = (req, field) => (req.files && req.files[field]) || [];
+
+// Cancel a request's conversions if the client goes away before the response is sent
+const cancelOnDisconnect = (res) => {
+  const submission = createSubmission();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      cancelSubmission(submission);
+    }
+  });
+  return submission;
+};
+
+// Unresolved citation keys for the X-Missing-Citations header, each percent-encoded since
+// keys may use any letters and headers only take Latin-1
+const missingCitationsHeader = (keys) => keys.map(encodeURIComponent).join(',');
+
+// Single file conversion endpoint
+app.post(['/api/convert', '/api/v1/convert'], conversionUpload('file', 1), async (req, res) => {
+  let input = null;
+
+  try {
+    let [file] = documentFiles(req, 'file');
+    if (!file && !hasTextOrUrl(req.body)) {
+      discardUploads(req);
+      return res.status(400).json({ error: 'No file, text or URL given' });
+    }
+
+    const { toFormat, fromFormats, options: parsedOptions } = await parseConversionRequest(req.body, 1);
+    const attachments = parseAttachments(req.files, [toFormat], parsedOptions);
+
+    // Pasted text or a URL stands in for the upload
+    if (!file) {
+      input = await textOrUrlInput(req.body);
+      file = input.file;
+      attachments.resourceDir = input.resourceDir;
+    }
+
+    const inputPath = file.path;
+    const fromFormat = await resolveInputFormat(inputPath, file.originalname, fromFormats[0]);
+    const outputFilename = path.parse(file.originalname).name;
+    const outputExt = getOutputExtension(toFormat);
+    const outputPath = path.join('downloads', `${outputFilename}-${Date.now()}${outputExt}`);
+
+    const submission = cancelOnDisconnect(res);
+    const result = await convertFile(inputPath, outputPath, fromFormat, toFormat, parsedOptions, { submission, attachments });
+
+    // Citation keys that could not be resolved
+    if (result.missingCitations.length > 0) {
+      res.set('X-Missing-Citations', missingCitationsHeader(result.missingCitations));
+    }
+
+    // Output linking to extracted images is sent as a ZIP with its media/ folder
+    let downloadPath = outputPath;
+    let downloadName = `${outputFilename}${outputExt}`;
+    if (result.media.length > 0) {
+      downloadPath = path.join('downloads', `${outputFilename}-${Date.now()}.zip`);
+      await createZip(documentEntries(outputPath, downloadName, result.media), downloadPath);
+      downloadName = `${outputFilename}.zip`;
+    }
+
+    // Send the file
+    res.download(downloadPath, downloadName, async (err) => {
+      // Cleanup
+      try {
+        discardUploads(req);
+        discardInput(input);
+        await fs.unlink(outputPath);
+        await removeMedia(result.mediaDir);
+        if (downloadPath !== outputPath) {
+          await fs.unlink(downloadPath);
+        }
+      } catch (cleanupErr) {
+        console.error('Cleanup error:', cleanupErr);
+      }
+
+      if (err) {
+        console.error('Download error:', err);
+      }
+    });
+
+  } catch (error) {
+    console.error('Conversion error:', error);
+    discardUploads(req);
+    discardInput(input);
+    sendError(res, error);
+  }
+});
+
+// Preview endpoint: render an uploaded file or pasted `text` as a sanitized HTML fragment
+app.post('/api/preview', conversionUpload('file', 1), async (req, res) => {
+  let textPath = null;
+
+  try {
+    const [file] = documentFiles(req, 'file');
+    const { text } = req.body;
+    if (!file && typeof text !== 'string') {
+      discardUploads(req);
+      return res.status(400).json({ error: 'No file or text to preview' });
+    }
+    if (!file && Buffer.byteLength(text) > MAX_TEXT_INPUT) {
+      throw validationError('text', `larger than ${MAX_TEXT_INPUT / 1024}KB`);
+    }
+
+    // The preview is always HTML, whatever output format the client has picked
+    const { fromFormats, options } = await parseConversionRequest({ ...req.body, toFormat: 'html' }, 1);
+    const attachments = parseAttachments(req.files, ['html'], options);
+
+    let inputPath;
+    let fromFormat;
+    if (file) {
+      inputPath = file.path;
+      fromFormat = await resolveInputFormat(inputPath, file.originalname, fromFormats[0]);
+    } else {
+      // Pasted text is Markdown unless told otherwise
+      textPath = path.join('uploads', `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-preview.txt`);
+      await fs.writeFile(textPath, text);
+      inputPath = textPath;
+      fromFormat = fromFormats[0] || 'markdown';
+    }
+
+    const submission = cancelOnDisconnect(res);
+    const result = await previewFile(inputPath, fromFormat, options, { submission, attachments });
+    res.json({ fromFormat, ...result });
+  } catch (error) {
+    if (error.code !== 'ECANCELLED') {
+      console.error('Preview error:', error);
+    }
+    sendError(res, error);
+  } finally {
+    discardUploads(req);
+    if (textPath) {
+      fs.unlink(textPath).catch(() => {});
+    }
+  }
+});
+
+// Read the metadata already in an uploaded document
+app.post('/api/metadata', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const requested = await validateInputFormat('fromFormat', req.body.fromFormat);
+    const fromFormat = await resolveInputFormat(req.file.path, req.file.originalname, requested);
+    const submission = cancelOnDisconnect(res);
+    const metadata = await readDocumentMetadata(req.file.path, fromFormat, { submission });
+    res.json({ fromFormat, metadata });
+  } catch (error) {
+    if (error.code !== 'ECANCELLED') {
+      console.error('Metadata error:', error);
+    }
+    sendError(res, error);
+  } finally {
+    discardUploads(req);
+  }
+});
+
+// Document inspection endpoint: outline, counts, images, links and more from the AST
+app.post(['/api/inspect', '/api/v1/inspect'], upload.single('file'), async (req, res) => {
+  // Images of DOCX, ODT and EPUB input are extracted here so their references can be checked
+  const mediaDir = path.join('uploads', `inspect-${crypto.randomBytes(8).toString('hex')}`);
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const requested = await validateInputFormat('fromFormat', req.body.fromFormat);
+    const fromFormat = await resolveInputFormat(req.file.path, req.file.originalname, requested);
+    const report = await inspectDocument(req.file.path, fromFormat, { submission: cancelOnDisconnect(res), mediaDir });
+    res.json(report);
+  } catch (error) {
+    if (error.code !== 'ECANCELLED') {
+      console.error('Inspect error:', error);
+    }
+    sendError(res, error);
+  } finally {
+    discardUploads(req);
+    await removeMedia(mediaDir);
+  }
+});
+
+// Batch conversion endpoint
+app.post(['/api/convert-batch', '/api/v1/convert-batch'], conversionUpload('files', 50), async (req, res) => {
+  try {
+    const files = documentFiles(req, 'files');
+    if (files.length === 0) {
+      discardUploads(req);
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    // Per-file input formats are in the same order as the uploaded files
+    const { toFormat, fromFormats, options: parsedOptions } = await parseConversionRequest(req.body, files.length);
+    const attachments = parseAttachments(req.files, [toFormat], parsedOptions);
+
+    const timestamp = Date.now();
+    const conversions = await convertBatch(files, fromFormats, toFormat, parsedOptions, {
+      submission: cancelOnDisconnect(res),
+      attachments,
+      outputPathFor: (file, outputExt) => path.join('downloads', `${path.parse(file.originalname).name}-${timestamp}${outputExt}`)
+    });
+
+    // Create ZIP file from the successful conversions, with a report on every file
+    const zipPath = path.join('downloads', `converted-${timestamp}.zip`);
+    const converted = conversions.filter(conv => conv.success && conv.path);
+    const manifest = buildManifest([toFormat], conversions.map(conv => conv.report));
+    await createZip([...batchEntries(conversions), ...reportEntries(manifest)], zipPath);
+
+    // Citation keys that could not be resolved in any file
+    const missingCitations = [...new Set(converted.flatMap(conv => conv.missingCitations))];
+    if (missingCitations.length > 0) {
+      res.set('X-Missing-Citations', missingCitationsHeader(missingCitations));
+    }
+
+    // Send the ZIP file
+    res.download(zipPath, `converted-documents.zip`, async (err) => {
+      // Cleanup
+      try {
+        discardUploads(req);
+        for (const conv of conversions) {
+          if (conv.success && conv.path) {
+            await fs.unlink(conv.path);
+            await removeMedia(conv.mediaDir);
+          }
+        }
+        await fs.unlink(zipPath);
+      } catch (cleanupErr) {
+        console.error('Cleanup error:', cleanupErr);
+      }
+
+      if (err) {
+        console.error('Download error:', err);
+      }
+    });
+
+  } catch (error) {
+    console.error('Batch conversion error:', error);
+    discardUploads(req);
+    sendError(res, error);
+  }
+});
+
+// Upload a project as a ZIP archive or as the files of a folder with their `paths`.
+// Answers with the project's files and the documents among them that can be converted.
+app.post('/api/projects', upload.fields([
+  { name: 'archive', maxCount: 1 },
+  { name: 'files', maxCount: MAX_PROJECT_FILES }
+]), async (req, res) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const dir = path.join('uploads', `${Date.now()}-${id}-project`);
+
+  try {
+    const [archive] = documentFiles(req, 'archive');
+    const files = documentFiles(req, 'files');
+    if (!archive && files.length === 0) {
+      return res.status(400).json({ error: 'No archive or folder given' });
+    }
+
+    await fs.mkdir(dir);
+    const entries = archive ? await unpackArchive(archive, dir) : await unpackFolder(files, req.body.paths, dir);
+    const sorted = entries.sort((a, b) => a.localeCompare(b));
+    const name = (typeof req.body.name === 'string' && req.body.name.trim()) ||
+      (archive ? path.parse(archive.originalname).name : 'project');
+    const project = { id, name, dir, files: sorted, documents: projectDocuments(sorted), createdAt: Date.now() };
+
+    projects.set(id, project);
+    res.status(201).json({ id, name, files: project.files, documents: project.documents });
+  } catch (error) {
+    console.error('Project upload error:', error);
+    fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    sendError(res, error);
+  } finally {
+    discardUploads(req);
+  }
+});
+
+// Prefix of the API a request came through, for the URLs in its answer
+const apiBase = (req) => (req.apiClient ? '/api/v1' : '/api');
+
+// Submit an asynchronous conversion job
+app.post(['/api/jobs', '/api/v1/jobs'], conversionUpload('files', 50), async (req, res) => {
+  let input = null;
+
+  try {
+    let files = documentFiles(req, 'files');
+    const fromProject = typeof req.body.project === 'string' && req.body.project !== '';
+    if (files.length > 0 && fromProject) {
+      discardUploads(req);
+      return res.status(400).json({ error: 'Send either files or a project, not both' });
+    }
+    if (files.length === 0 && !fromProject && !hasTextOrUrl(req.body)) {
+      discardUploads(req);
+      return res.status(400).json({ error: 'No files, text, URL or project given' });
+    }
+
+    // Entry documents of an uploaded project are converted in place
+    const projectInput = fromProject ? await parseProjectRequest(req.body) : null;
+    if (projectInput) {
+      files = projectInput.files;
+    }
+
+    const { toFormats, fromFormats, options } = await parseConversionRequest(req.body, files.length || 1, { multipleFormats: true });
+    const combine = parseCombineRequest(req.body);
+    const groupBy = parseGroupBy(req.body);
+    const attachments = parseAttachments(req.files, toFormats, options);
+    const owner = requester(req);
+    const secret = req.apiClient ? req.apiClient.webhookSecret : WEBHOOK_SECRET;
+    const callbackUrl = parseCallbackUrl(req.body.callbackUrl, secret);
+
+    if (projectInput) {
+      attachments.resourceDir = projectInput.project.dir;
+    } else if (files.length === 0) {
+      // Pasted text or a URL stands in for the uploads
+      input = await textOrUrlInput(req.body);
+      files = [input.file];
+      attachments.resourceDir = input.resourceDir;
+    }
+
+    const webhook = callbackUrl ? { url: callbackUrl, secret, baseUrl: PUBLIC_URL || `${req.protocol}://${req.get('host')}` } : null;
+    const job = createJob(files, fromFormats, toFormats, options, { attachments, combine, groupBy, owner, webhook });
+
+    runJob(job).catch(error => console.error('Job error:', error));
+
+    res.status(202).json({ jobId: job.id, job: summarizeJob(job, apiBase(req)) });
+  } catch (error) {
+    console.error('Job submission error:', error);
+    discardUploads(req);
+    discardInput(input);
+    sendError(res, error);
+  }
+});
+
+// The job named in a request's path. Through the versioned API a key only finds its own jobs.
+const findJob = (req) => {
+  const job = jobs.get(req.params.id);
+  return job && ownedByRequester(req, job) ? job : null;
+};
+
+// Poll the status of a job
+app.get(['/api/jobs/:id', '/api/v1/jobs/:id'], (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(summarizeJob(job, apiBase(req)));
+});
+
+// Stream job status updates as Server-Sent Events
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(`data: ${JSON.stringify(summarizeJob(job))}\n\n`);
+
+  if (FINISHED_JOB_STATUSES.includes(job.status)) {
+    return res.end();
+  }
+
+  job.subscribers.add(res);
+  req.on('close', () => {
+    job.subscribers.delete(res);
+  });
+});
+
+// Cancel the queued and running conversions of a job
+app.post(['/api/jobs/:id/cancel', '/api/v1/jobs/:id/cancel'], (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (FINISHED_JOB_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  }
+
+  cancelSubmission(job.submission);
+  res.json(summarizeJob(job, apiBase(req)));
+});
+
+// Send a finished conversion's result, which the retention sweep may have removed by now
+const sendResult = (res, filePath, downloadName) => {
+  res.download(filePath, downloadName, (err) => {
+    if (!err) return;
+    if (err.code === 'ENOENT' && !res.headersSent) {
+      return res.status(410).json({ error: 'The converted files have been removed' });
+    }
+    console.error('Download error:', err);
+  });
+};
+
+// Download the results of a finished job
+app.get(['/api/jobs/:id/download', '/api/v1/jobs/:id/download'], (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: `Job is ${job.status}` });
+  }
+
+  const result = jobResult(job);
+  sendResult(res, result.path, result.name);
+});
+
+// List recent conversions, newest first
+app.get('/api/history', async (req, res) => {
+  try {
+    const owned = [...history.values()].filter(entry => ownedByRequester(req, entry));
+    const entries = await Promise.all(owned.reverse().map(summarizeHistory));
+    res.json({ history: entries });
+  } catch (error) {
+    console.error('History error:', error);
+    sendError(res, error);
+  }
+});
+
+// Download the result of an earlier conversion again
+app.get('/api/history/:id/download', (req, res) => {
+  const entry = history.get(req.params.id);
+  if (!entry || !ownedByRequester(req, entry)) {
+    return res.status(404).json({ error: 'Conversion not found' });
+  }
+  if (!entry.resultPath) {
+    return res.status(409).json({ error: `Conversion ${entry.status}` });
+  }
+  sendResult(res, entry.resultPath, entry.resultName);
+});
+
+// Run an earlier conversion again with the same files and settings
+app.post('/api/history/:id/rerun', async (req, res) => {
+  const entry = history.get(req.params.id);
+  if (!entry || !ownedByRequester(req, entry)) {
+    return res.status(404).json({ error: 'Conversion not found' });
+  }
+
+  try {
+    const { rerunnable } = await summarizeHistory(entry);
+    if (!rerunnable) {
+      return res.status(410).json({ error: 'The uploaded files of this conversion have been removed' });
+    }
+
+    const job = await rerunHistory(entry, requester(req));
+    res.status(202).json({ jobId: job.id, job: summarizeJob(job) });
+  } catch (error) {
+    console.error('Re-run error:', error);
+    sendError(res, error);
+  }
+});
+
+// List reference document templates, optionally for one output format
+app.get('/api/templates', (req, res) => {
+  const list = [...templates.values()].filter(template => !req.query.format || template.format === req.query.format);
+  res.json({ templates: list });
+});
+
+// Upload a reference document template
+app.post('/api/templates', upload.single('template'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No template uploaded' });
+    }
+
+    const template = await addTemplate(req.file, req.body.name);
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Template upload error:', error);
+    discardUploads(req);
+    sendError(res, error);
+  }
+});
+
+// Preview the metadata of a template
+app.get('/api/templates/:id', (req, res) => {
+  const template = templates.get(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  try {
+    res.json({ ...template, metadata: readTemplateMetadata(templatePath(template), template.format) });
+  } catch (error) {
+    console.error('Template preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a template
+app.delete('/api/templates/:id', async (req, res) => {
+  const template = templates.get(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  try {
+    templates.delete(template.id);
+    await saveIndex(TEMPLATES_INDEX, templates);
+    await fs.unlink(templatePath(template)).catch(() => {});
+    res.status(204).end();
+  } catch (error) {
+    console.error('Template delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List built-in themes, uploaded stylesheets and HTML templates (`?kind=css` or `?kind=template`)
+app.get('/api/styles', (req, res) => {
+  const list = [...BUILTIN_THEMES, ...styles.values()].filter(style => !req.query.kind || style.kind === req.query.kind);
+  res.json({ styles: list });
+});
+
+// Upload a stylesheet or HTML template
+app.post('/api/styles', upload.single('style'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No stylesheet or template uploaded' });
+    }
+
+    const style = await addStyle(req.file, req.body.name);
+    res.status(201).json(style);
+  } catch (error) {
+    console.error('Style upload error:', error);
+    discardUploads(req);
+    sendError(res, error);
+  }
+});
+
+// Get the content of a stylesheet or template
+app.get('/api/styles/:id', (req, res) => {
+  const style = findStyle(req.params.id);
+  if (!style) {
+    return res.status(404).json({ error: 'Style not found' });
+  }
+  res.type(style.kind === 'css' ? 'text/css' : 'text/plain');
+  res.sendFile(path.resolve(stylePath(style)));
+});
+
+// Delete an uploaded stylesheet or template
+app.delete('/api/styles/:id', async (req, res) => {
+  const style = findStyle(req.params.id);
+  if (!style) {
+    return res.status(404).json({ error: 'Style not found' });
+  }
+  if (style.builtIn) {
+    return res.status(400).json({ error: 'Built-in themes cannot be deleted' });
+  }
+
+  try {
+    styles.delete(style.id);
+    await saveIndex(STYLES_INDEX, styles);
+    await fs.unlink(stylePath(style)).catch(() => {});
+    res.status(204).end();
+  } catch (error) {
+    console.error('Style delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Let a request change the filter library only with the admin key. Pandoc's Lua filters can
+// run commands and write files (os.execute, io), so an upload amounts to running code.
+const requireFilterAdmin = (req, res, next) => {
+  if (!FILTER_ADMIN_KEY) {
+    return res.status(403).json({ error: 'Filter uploads are turned off on this server (see FILTER_ADMIN_KEY)' });
+  }
+  if (!signatureMatches(hashApiKey(req.get('X-Admin-Key') || ''), hashApiKey(FILTER_ADMIN_KEY))) {
+    return res.status(401).json({ error: 'Missing or wrong admin key' });
+  }
+  next();
+};
+
+// List the registered Lua filters, and whether the library can be changed with the admin key
+app.get('/api/filters', (req, res) => {
+  res.json({ filters: [...filters.values()], uploads: Boolean(FILTER_ADMIN_KEY) });
+});
+
+// Upload a Lua filter
+app.post('/api/filters', requireFilterAdmin, upload.single('filter'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No filter uploaded' });
+    }
+
+    const filter = await addFilter(req.file, req.body.name, req.body.description);
+    res.status(201).json(filter);
+  } catch (error) {
+    console.error('Filter upload error:', error);
+    discardUploads(req);
+    sendError(res, error);
+  }
+});
+
+// Get the source of a Lua filter
+app.get('/api/filters/:id', (req, res) => {
+  const filter = filters.get(req.params.id);
+  if (!filter) {
+    return res.status(404).json({ error: 'Filter not found' });
+  }
+  res.type('text/plain');
+  res.sendFile(path.resolve(filterPath(filter)));
+});
+
+// Delete a Lua filter
+app.delete('/api/filters/:id', requireFilterAdmin, async (req, res) => {
+  const filter = filters.get(req.params.id);
+  if (!filter) {
+    return res.status(404).json({ error: 'Filter not found' });
+  }
+
+  try {
+    filters.delete(filter.id);
+    await saveIndex(FILTERS_INDEX, filters);
+    await fs.unlink(filterPath(filter)).catch(() => {});
+    res.status(204).end();
+  } catch (error) {
+    console.error('Filter delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the saved conversion presets
+app.get('/api/presets', (req, res) => {
+  res.json({ presets: [...presets.values()] });
+});
+
+// Save the current settings as a preset; a preset of the same name is replaced
+app.post('/api/presets', async (req, res) => {
+  try {
+    const settings = await validatePreset(req.body || {});
+    const { preset, replaced } = await savePreset(settings);
+    res.status(replaced ? 200 : 201).json(preset);
+  } catch (error) {
+    console.error('Preset save error:', error);
+    sendError(res, error);
+  }
+});
+
+// Download every preset as a JSON file for importing elsewhere
+app.get('/api/presets/export', (req, res) => {
+  res.attachment('presets.json');
+  res.json(exportPresets([...presets.values()]));
+});
+
+// Download one preset as a JSON file
+app.get('/api/presets/:id/export', (req, res) => {
+  const preset = presets.get(req.params.id);
+  if (!preset) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+  res.attachment(`${preset.name.replace(/[^\w.-]+/g, '-')}.preset.json`);
+  res.json(exportPresets([preset]));
+});
+
+// Import presets from an exported JSON file. Library items (templates, stylesheets,
+// filters) missing on this server are left out and reported as warnings.
+app.post('/api/presets/import', upload.single('presets'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No presets file uploaded' });
+  }
+
+  try {
+    const list = await readPresetsFile(req.file.path);
+    const warnings = [];
+    const settings = [];
+    for (const [index, item] of list.entries()) {
+      const field = `presets[${index}]`;
+      if (typeof item !== 'object' || item === null) {
+        throw validationError(field, 'expected an object');
+      }
+      const cleaned = dropMissingLibraryItems(item.options || {}, item.name || field);
+      warnings.push(...cleaned.warnings);
+      settings.push(await validatePreset({ ...item, options: cleaned.options }, field));
+    }
+
+    // Nothing is saved unless every preset in the file is valid
+    const imported = [];
+    for (const item of settings) {
+      imported.push((await savePreset(item)).preset);
+    }
+    res.json({ presets: imported, warnings });
+  } catch (error) {
+    console.error('Preset import error:', error);
+    sendError(res, error);
+  } finally {
+    fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// Delete a preset
+app.delete('/api/presets/:id', async (req, res) => {
+  const preset = presets.get(req.params.id);
+  if (!preset) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+
+  try {
+    presets.delete(preset.id);
+    await saveIndex(PRESETS_INDEX, presets);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Preset delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Watched folders and their recent conversions, for the status page
+app.get('/api/watch', (req, res) => {
+  res.json({
+    enabled: watchedFolders.length > 0,
+    folders: watchedFolders.map(summarizeWatchFolder),
+    activity: watchActivity
+  });
+});
+
+// Webhook delivery log, newest first, optionally for one job (?job=). A key only
+// sees the deliveries of its own jobs, the page only those of jobs without a key.
+app.get(['/api/webhooks', '/api/v1/webhooks'], (req, res) => {
+  const deliveries = webhookDeliveries.filter(delivery => (
+    (!req.query.job || delivery.jobId === req.query.job)
+    && ownedByRequester(req, delivery)
+  ));
+  res.json({
+    enabled: WEBHOOK_ALLOWED_HOSTS.length > 0 && Boolean(req.apiClient ? req.apiClient.webhookSecret : WEBHOOK_SECRET),
+    deliveries: deliveries.map(summarizeDelivery)
+  });
+});
+
+// Paths of the versioned API that do not exist
+app.use('/api/v1', (req, res) => {
+  res.status(404).json({ error: `No API endpoint ${req.method} ${req.baseUrl}${req.path}` });
+});
+
+// Watched folders: documents dropped into an input folder are converted into its
+// output folder, each folder with its own formats and options. Set up at startup
+// from WATCH_CONFIG or the WATCH_* variables; they are not changed at runtime.
+const watchedFolders = [];
+// Recent conversions of watched files, newest first
+const watchActivity = [];
+const MAX_WATCH_ACTIVITY = 100;
+// Names of files being written or of no interest: hidden files, Office lock files and
+// partial downloads
+const IGNORED_WATCH_FILE = /^(\.|~\$)|(\.tmp|\.part|\.crdownload|\.swp|~)$/i;
+
+// Watched folders from the WATCH_CONFIG file, or the single folder of WATCH_DIR
+const readWatchConfig = async () => {
+  if (WATCH_CONFIG) {
+    const config = JSON.parse(await fs.readFile(WATCH_CONFIG, 'utf8'));
+    if (!Array.isArray(config.folders)) {
+      throw new Error(`${WATCH_CONFIG}: expected a "folders" array`);
+    }
+    return { debounce: parseInt(config.debounce, 10) || WATCH_DEBOUNCE, folders: config.folders };
+  }
+  if (WATCH_DIR) {
+    return {
+      debounce: WATCH_DEBOUNCE,
+      folders: [{ input: WATCH_DIR, output: WATCH_OUTPUT_DIR, errors: WATCH_ERROR_DIR, from: WATCH_FROM, to: WATCH_TO.split(',') }]
+    };
+  }
+  return { debounce: WATCH_DEBOUNCE, folders: [] };
+};
+
+// Check the settings of a watched folder the way a conversion request is checked.
+// Output and error folders default to subfolders of the input folder, which are not watched.
+const watchFolderSettings = async (spec) => {
+  if (typeof spec.input !== 'string' || spec.input.trim() === '') {
+    throw validationError('input', 'missing');
+  }
+  const to = (Array.isArray(spec.to) ? spec.to : [spec.to]).map(format => (typeof format === 'string' ? format.trim() : format));
+  const { toFormats, fromFormats, options } = await parseConversionRequest({
+    toFormat: to[0],
+    toFormats: to.length > 1 ? JSON.stringify(to) : undefined,
+    fromFormat: spec.from,
+    options: spec.options ? JSON.stringify(spec.options) : undefined
+  }, 1, { multipleFormats: true });
+
+  const input = path.resolve(spec.input);
+  return {
+    name: spec.name || path.basename(input),
+    input,
+    output: path.resolve(spec.output || path.join(input, 'converted')),
+    errors: path.resolve(spec.errors || path.join(input, 'failed')),
+    fromFormat: fromFormats[0],
+    toFormats,
+    options
+  };
+};
+
+// What the status page shows of a watched folder
+const summarizeWatchFolder = (folder) => ({
+  name: folder.name,
+  input: folder.input,
+  output: folder.output,
+  errors: folder.errors,
+  fromFormat: folder.fromFormat || 'auto',
+  toFormats: folder.toFormats,
+  status: folder.status,
+  error: folder.error,
+  queued: folder.timers.size + folder.running.size,
+  converted: folder.converted,
+  failed: folder.failed
+});
+
+// Add an entry to the watch activity, dropping the oldest
+const recordWatchActivity = (entry) => {
+  watchActivity.unshift(entry);
+  watchActivity.length = Math.min(watchActivity.length, MAX_WATCH_ACTIVITY);
+};
+
+// Move a file, copying it when the target is on another file system
+const moveFile = async (from, to) => {
+  try {
+    await fs.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+};
+
+// Where a watched file's output goes. Outputs that link to extracted images get a
+// folder of their own for them, as in job ZIPs.
+const watchOutputPath = (folder, name, toFormat, ownFolder) => {
+  const { name: base } = path.parse(name);
+  return path.join(folder.output, ...(ownFolder ? [base] : []), `${base}${getOutputExtension(toFormat)}`);
+};
+
+// Whether every output of a file is at least as new as the file itself
+const watchOutputsCurrent = async (folder, name, modified) => {
+  for (const toFormat of folder.toFormats) {
+    const candidates = [watchOutputPath(folder, name, toFormat, false), watchOutputPath(folder, name, toFormat, true)];
+    const stats = await Promise.all(candidates.map(candidate => fs.stat(candidate).catch(() => null)));
+    if (!stats.some(stat => stat && stat.mtimeMs >= modified)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Convert a watched file to one output format through downloads/, then move the
+// result and its images into the output folder
+const convertWatchOutput = async (folder, inputPath, name, fromFormat, toFormat) => {
+  const tempPath = path.join('downloads', `watch-${crypto.randomBytes(8).toString('hex')}${getOutputExtension(toFormat)}`);
+  let result;
+  try {
+    result = await convertFile(inputPath, tempPath, fromFormat, toFormat, folder.options, { submission: createSubmission() });
+  } catch (error) {
+    fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  try {
+    const outputPath = watchOutputPath(folder, name, toFormat, result.media.length > 0);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await moveFile(tempPath, outputPath);
+    for (const item of result.media) {
+      const target = path.join(path.dirname(outputPath), ...item.name.split('/'));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await moveFile(item.path, target);
+    }
+    return { output: path.relative(folder.output, outputPath), warnings: result.warnings };
+  } finally {
+    await removeMedia(result.mediaDir);
+  }
+};
+
+// Move a file that could not be converted to the error folder, with the reason next to it
+const rejectWatchFile = async (folder, name, error) => {
+  try {
+    await moveFile(path.join(folder.input, name), path.join(folder.errors, name));
+    await fs.writeFile(path.join(folder.errors, `${name}.error.txt`), `${error.message}\n`);
+  } catch (err) {
+    console.error(`Watch: could not move ${name} to ${folder.errors}:`, err.message);
+  }
+};
+
+// Convert a watched file to each of its folder's formats. A file that changes while
+// it is converted is converted again afterwards.
+const convertWatchFile = async (folder, name) => {
+  const inputPath = path.join(folder.input, name);
+  let stat;
+  try {
+    stat = await fs.stat(inputPath);
+  } catch (err) {
+    // Removed, renamed or moved to the error folder since the event
+    return;
+  }
+  if (!stat.isFile()) return;
+
+  if (folder.running.has(name)) {
+    folder.pending.add(name);
+    return;
+  }
+  folder.running.add(name);
+
+  const entry = {
+    folder: folder.name,
+    file: name,
+    status: 'running',
+    outputs: [],
+    warnings: [],
+    error: null,
+    startedAt: Date.now(),
+    duration: null
+  };
+  recordWatchActivity(entry);
+
+  try {
+    const fromFormat = await resolveInputFormat(inputPath, name, folder.fromFormat);
+    for (const toFormat of folder.toFormats) {
+      const { output, warnings } = await convertWatchOutput(folder, inputPath, name, fromFormat, toFormat);
+      entry.outputs.push(output);
+      entry.warnings.push(...warnings);
+    }
+    entry.status = 'done';
+    folder.converted++;
+    console.log(`Watch: converted ${path.join(folder.input, name)}`);
+  } catch (error) {
+    entry.status = 'failed';
+    entry.error = error.message;
+    folder.failed++;
+    console.error(`Watch: could not convert ${path.join(folder.input, name)}:`, error.message);
+    await rejectWatchFile(folder, name, error);
+  } finally {
+    entry.duration = Date.now() - entry.startedAt;
+    folder.running.delete(name);
+  }
+
+  if (folder.pending.delete(name)) {
+    scheduleWatchFile(folder, name);
+  }
+};
+
+// Convert a file once it has stopped changing for the debounce time
+const scheduleWatchFile = (folder, name) => {
+  if (IGNORED_WATCH_FILE.test(name)) return;
+
+  clearTimeout(folder.timers.get(name));
+  folder.timers.set(name, setTimeout(() => {
+    folder.timers.delete(name);
+    convertWatchFile(folder, name).catch(error => console.error('Watch error:', error));
+  }, folder.debounce));
+};
+
+// Start watching a folder, then convert the files dropped into it while the server was down
+const startWatchFolder = async (folder) => {
+  await fs.mkdir(folder.input, { recursive: true });
+  await fs.mkdir(folder.output, { recursive: true });
+  await fs.mkdir(folder.errors, { recursive: true });
+
+  folder.watcher = require('fs').watch(folder.input, (event, name) => {
+    if (name) {
+      scheduleWatchFile(folder, name);
+    }
+  });
+  folder.watcher.on('error', (error) => {
+    folder.status = 'error';
+    folder.error = error.message;
+    console.error(`Watch: stopped watching ${folder.input}:`, error.message);
+  });
+  folder.status = 'watching';
+
+  for (const item of await fs.readdir(folder.input, { withFileTypes: true })) {
+    if (!item.isFile() || IGNORED_WATCH_FILE.test(item.name)) continue;
+    const { mtimeMs } = await fs.stat(path.join(folder.input, item.name));
+    if (!(await watchOutputsCurrent(folder, item.name, mtimeMs))) {
+      scheduleWatchFile(folder, item.name);
+    }
+  }
+};
+
+// Set up the configured watched folders. A folder with bad settings is listed
+// with its error and left unwatched; the others still start.
+const startWatching = async () => {
+  let config;
+  try {
+    config = await readWatchConfig();
+  } catch (error) {
+    console.error('Watch configuration error:', error.message);
+    return;
+  }
+
+  for (const [index, spec] of config.folders.entries()) {
+    const folder = {
+      name: (spec && spec.name) || (spec && spec.input) || `Folder ${index + 1}`,
+      input: spec && spec.input,
+      toFormats: [],
+      debounce: config.debounce,
+      status: 'error',
+      error: null,
+      converted: 0,
+      failed: 0,
+      watcher: null,
+      timers: new Map(),
+      running: new Set(),
+      pending: new Set()
+    };
+    watchedFolders.push(folder);
+
+    try {
+      Object.assign(folder, await watchFolderSettings(spec || {}));
+      await startWatchFolder(folder);
+      console.log(`Watching ${folder.input} → ${folder.output} (${folder.toFormats.join(', ')})`);
+    } catch (error) {
+      folder.error = error.message;
+      console.error(`Watch: cannot watch ${folder.name}:`, error.message);
+    }
+  }
+};
+
+// Start server
+const startServer = async () => {
+  await ensureDirectories();
+  await loadLibraries();
+  await loadIndex(PRESETS_INDEX, presets);
+  await loadIndex(HISTORY_INDEX, history);
+  await loadApiKeys();
+
+  // Clear what earlier runs left behind, then keep to the retention policy
+  sweepStorage();
+  setInterval(sweepStorage, RETENTION_SWEEP_INTERVAL).unref();
+
+  try {
+    const { versionLine } = await detectPandoc();
+    console.log('Pandoc detected:', versionLine);
+  } catch (error) {
+    console.warn('WARNING:', error.message);
+    console.warn('Please install Pandoc from https://pandoc.org/installing.html');
+  }
+
+  // Needs the Pandoc capabilities to check the formats of each folder
+  await startWatching();
 
   app.listen(PORT, () => {
     console.log(`\n🚀 Pandoc GUI Server running on http://localhost:${PORT}`);